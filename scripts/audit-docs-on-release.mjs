@@ -26,6 +26,7 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
+import { parseReleaseNotes, bulletsIn } from './lib/release-notes-mdx.mjs';
 
 const ROOT = process.cwd();
 
@@ -154,17 +155,13 @@ function extractGuideRefs(text) {
 }
 
 function extractNewFeatureKeywords(text) {
-  // Extract key feature keywords from "### New" sections
+  // Extract bold feature names from the "New" section of every <Update>
   const features = [];
-  const newSectionPattern = /### New\n([\s\S]*?)(?=###|<\/Update>|$)/g;
-  let match;
-  while ((match = newSectionPattern.exec(text)) !== null) {
-    const section = match[1];
-    // Extract bold items
-    const boldPattern = /\*\*([^*]+)\*\*/g;
-    let boldMatch;
-    while ((boldMatch = boldPattern.exec(section)) !== null) {
-      features.push(boldMatch[1].replace(/\.$/, ''));
+  for (const update of parseReleaseNotes(text).updates) {
+    for (const bullet of bulletsIn(update, 'new')) {
+      for (const boldMatch of bullet.text.matchAll(/\*\*([^*]+)\*\*/g)) {
+        features.push(boldMatch[1].replace(/\.$/, ''));
+      }
     }
   }
   return features;
@@ -3,257 +3,87 @@
  * Backfill release notes for all versions found via GitHub releases/tags.
  *
  * Usage:
- *   GITHUB_TOKEN=<token> node scripts/backfill-releases.mjs
+ *   GITHUB_TOKEN=<token> [RELEASE_TIMEZONE=America/Los_Angeles] node scripts/backfill-releases.mjs
+ *
+ * GITHUB_FIXTURES=<dir> replays recorded GitHub responses instead, as for
+ * generate-release-notes.mjs.
  *
  * This script:
- * 1. Fetches all GitHub releases from revive-api (the source of version truth)
+ * 1. Fetches all GitHub releases from revive-api (the source of version truth),
+ *    ordered by semantic version; stops before writing anything if versions
+ *    and publish dates disagree
  * 2. For each release, finds merged PRs labeled "released" between that release
- *    and the previous one
- * 3. Generates an MDX file per version
- * 4. Updates docs.json with all versions grouped by year
+ *    and the previous version
+ * 3. Generates an MDX file per version, with the same <Update> blocks
+ *    generate-release-notes.mjs would produce: each repo's PRs go through
+ *    buildAppEntries as the app named in config backfill.repoApps
+ * 4. Updates the docs.json "Release notes" group with all versions grouped by year
  */
 
 import fs from 'node:fs';
 import path from 'node:path';
+import {
+  ORG,
+  buildAppEntries,
+  buildUpdate,
+  releaseDateParts,
+  createGitHubClientFromEnv,
+} from './lib/release-notes-core.mjs';
+import { createReleaseNotesDoc, prependUpdates, serializeReleaseNotes } from './lib/release-notes-mdx.mjs';
+import { getReleaseNotesConfig } from './lib/release-notes-config.mjs';
+import { createSummarizer } from './lib/summarizer.mjs';
+import { RELEASE_NOTES_GROUP, findNavGroup, serializeDocsJson } from './lib/docs-nav.mjs';
+import { parseReleaseTag, compareSemver } from './lib/semver.mjs';
+
+// Legacy per-app repos and the label/timezone shared with generate-release-notes.mjs
+const config = getReleaseNotesConfig();
+const VERSION_SOURCE_REPO = config.backfill.versionSourceRepo; // repo that has release tags
+const REPOS = config.backfill.repos;
+const REPO_APPS = config.backfill.repoApps;
+const LABEL = config.releaseLabel;
+const TIME_ZONE = process.env.RELEASE_TIMEZONE || config.timeZone;
+const summarizer = createSummarizer(config.summarizer);
 
-const ORG = 'Revive-Home';
-const VERSION_SOURCE_REPO = 'revive-api'; // repo that has release tags
-const REPOS = ['revive-dashboard', 'revive-admin', 'revive-mobile', 'revive-api'];
-const LABEL = 'released';
-
-// ── Reuse helpers from generate-release-notes.mjs ──────────────────────
-
-const EXCLUDE_TITLE_PATTERNS = [
-  /\bstaging\b/i,
-  /^update staging\b/i,
-  /^staging\b/i,
-];
-
-const SUMMARY_HEADING_PATTERNS = [
-  /^#{2,3}\s*summary\s*$/i,
-  /^#{2,3}\s*tldr\s*$/i,
-  /^#{2,3}\s*tl;dr\s*$/i,
-  /^#{2,3}\s*overview\s*$/i,
-];
-
-const CODERABBIT_MARKER_RE = /^(?:[*_#]*\s*)*summary\s+by\s+coderabbit\s*(?:[*_]*\s*)$/i;
-const CODERABBIT_SECTION_TITLES_LIST = [
-  'New Features', 'Bug Fixes', 'Improvements', 'Refactor', 'Chores', 'Data',
-  'Validation', 'Documentation', 'Tests', 'Style', 'Performance',
-  'Other Changes', 'Enhancements', 'Breaking Changes',
-];
-const CODERABBIT_SECTION_TITLES = new Set(CODERABBIT_SECTION_TITLES_LIST);
-
-function isCodeRabbitSectionTitle(line) {
-  let cleaned = line;
-  cleaned = cleaned.replace(/^[\s*_#-]+/, '');
-  cleaned = cleaned.replace(/[\s*_#]+$/, '');
-  return CODERABBIT_SECTION_TITLES.has(cleaned) ? cleaned : null;
-}
-
-function normalizeSummaryText(text) {
-  return text
-    .replace(/\r\n/g, '\n')
-    .replace(/^[-*]\s+/gm, '')
-    .replace(/^\d+\.\s+/gm, '')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
-}
-
-function extractSectionUnderHeading(body, headingMatchFn) {
-  if (!body) return '';
-  const lines = body.replace(/\r\n/g, '\n').split('\n');
-  let start = -1;
-  for (let i = 0; i < lines.length; i++) {
-    if (headingMatchFn(lines[i].trim())) { start = i + 1; break; }
-  }
-  if (start === -1) return '';
-  let end = lines.length;
-  for (let i = start; i < lines.length; i++) {
-    if (/^#{2,6}\s+/.test(lines[i].trim())) { end = i; break; }
-  }
-  return lines.slice(start, end).join('\n');
-}
-
-function extractCodeRabbitSummary(body) {
-  if (!body) return '';
-  const lines = body.replace(/\r\n/g, '\n').split('\n');
-  const startIdx = lines.findIndex((l) => CODERABBIT_MARKER_RE.test(l.trim()));
-  if (startIdx === -1) return '';
-
-  const blockLines = [];
-  for (let i = startIdx + 1; i < lines.length; i++) {
-    const t = lines[i].trim();
-    if (!t) { blockLines.push(''); continue; }
-    if (t.startsWith('<!--') && t.includes('end of auto-generated')) break;
-    if (t.startsWith('<!--')) continue;
-    if (CODERABBIT_MARKER_RE.test(t)) break;
-    if (/^#{2,6}\s+/.test(t)) break;
-    if (t.toLowerCase() === 'image') break;
-    blockLines.push(lines[i]);
-  }
-
-  const block = blockLines.join('\n').trim();
-  if (!block) return '';
-
-  const hasKnownSection = blockLines.some((l) => isCodeRabbitSectionTitle(l.trim()));
-  if (!hasKnownSection) return normalizeSummaryText(block);
-
-  const items = [];
-  let currentSection = null;
-  for (const raw of blockLines) {
-    const line = raw.trim();
-    if (!line) continue;
-    const sectionMatch = isCodeRabbitSectionTitle(line);
-    if (sectionMatch) { currentSection = sectionMatch; continue; }
-    if (!currentSection) continue;
-    const itemText = line.replace(/^[\s*_-]+/, '').replace(/[\s*_]+$/, '').trim();
-    if (itemText) items.push({ section: currentSection, text: itemText });
-  }
-  if (items.length === 0) return '';
-
-  const sectionPriority = {
-    'New Features': 0, 'Enhancements': 0, 'Bug Fixes': 1, 'Improvements': 2,
-    'Validation': 3, 'Refactor': 4, 'Performance': 4, 'Chores': 5, 'Data': 6,
-    'Documentation': 7, 'Tests': 7, 'Style': 8, 'Other Changes': 9, 'Breaking Changes': 0,
-  };
-  items.sort((a, b) => (sectionPriority[a.section] ?? 99) - (sectionPriority[b.section] ?? 99));
-
-  const selected = [];
-  for (const item of items) {
-    if (selected.length >= 4) break;
-    const countInSection = selected.filter((s) => s.section === item.section).length;
-    if (countInSection >= 2) continue;
-    selected.push(item);
-  }
-
-  const parts = [];
-  for (const item of selected) {
-    let text = item.text.charAt(0).toLowerCase() + item.text.slice(1);
-    if (text.length > 80) {
-      const cut = text.lastIndexOf(' ', 77);
-      text = text.slice(0, cut > 40 ? cut : 77) + '...';
-    }
-    switch (item.section) {
-      case 'New Features': case 'Enhancements': parts.push(text); break;
-      case 'Bug Fixes': parts.push(`fixed ${text}`); break;
-      case 'Improvements': parts.push(`improved ${text}`); break;
-      case 'Validation': parts.push(`added validation for ${text}`); break;
-      default: parts.push(text); break;
-    }
-  }
-
-  let rendered;
-  if (parts.length === 1) rendered = parts[0].charAt(0).toUpperCase() + parts[0].slice(1);
-  else if (parts.length === 2) rendered = parts[0].charAt(0).toUpperCase() + parts[0].slice(1) + ' and ' + parts[1];
-  else rendered = parts[0].charAt(0).toUpperCase() + parts[0].slice(1) + ', ' + parts.slice(1, -1).join(', ') + ', and ' + parts[parts.length - 1];
-
-  return normalizeSummaryText(rendered);
-}
+// ── GitHub API helpers ─────────────────────────────────────────────────
 
-function extractPreferredSummaryFromBody(body) {
-  if (!body) return '';
-  const cr = extractCodeRabbitSummary(body);
-  if (cr) return cr;
-  for (const re of SUMMARY_HEADING_PATTERNS) {
-    const section = extractSectionUnderHeading(body, (line) => re.test(line));
-    const normalized = normalizeSummaryText(section);
-    if (normalized) return normalized;
-  }
-  return '';
+let gh;
+try {
+  gh = createGitHubClientFromEnv();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
 }
+const ghJsonPaginated = gh.getPaginated;
+const fetchPull = gh.fetchPull;
 
-function toSingleLineSummary(text, maxLen = 200) {
-  const oneLine = normalizeSummaryText(text).replace(/\s+/g, ' ');
-  if (!oneLine) return '';
-  if (oneLine.length <= maxLen) return oneLine;
-  const truncated = oneLine.slice(0, maxLen);
-  const lastSpace = truncated.lastIndexOf(' ');
-  if (lastSpace > maxLen * 0.6) return truncated.slice(0, lastSpace) + '…';
-  return truncated.slice(0, maxLen - 1) + '…';
-}
+// ── Main logic ─────────────────────────────────────────────────────────
 
-function cleanPRTitle(raw) {
-  let t = raw.trim();
-  t = t.replace(/^(?:feat|fix|chore|refactor|docs|ci|style|perf|test|build)\s*(?:\([^)]*\))?\s*:\s*/i, '');
-  if (/^[A-Z]{2,}-\d+\//.test(t)) {
-    const segments = t.split('/');
-    const meaningful = segments.filter((s) => {
-      if (/^[A-Z]{2,}-\d+$/.test(s)) return false;
-      if (segments.indexOf(s) === segments.length - 1 && /^[A-Z][a-z]+-[A-Z][a-z]+$/.test(s)) return false;
-      return true;
-    });
-    if (meaningful.length > 0) t = meaningful.join(' ');
-  }
-  t = t.replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
-  if (t === t.toUpperCase() && t.length > 3) t = t.charAt(0).toUpperCase() + t.slice(1).toLowerCase();
-  else t = t.charAt(0).toUpperCase() + t.slice(1);
-  return t;
+// Legacy tags are v1.2.3 or bare 1.2.3
+function parseBackfillTag(tag) {
+  return parseReleaseTag(tag, 'v') || parseReleaseTag(tag, '');
 }
 
-function shouldExcludePRTitle(title) {
-  return EXCLUDE_TITLE_PATTERNS.some((re) => re.test(title));
+// Newest version first, by semver; malformed tags are skipped with a warning
+function sortByVersion(releases) {
+  const valid = releases.filter((r) => {
+    if (parseBackfillTag(r.tag)) return true;
+    console.warn(`  ⚠ Skipping ${r.tag}: not a semantic version tag`);
+    return false;
+  });
+  return valid.sort((a, b) => compareSemver(parseBackfillTag(b.tag).version, parseBackfillTag(a.tag).version));
 }
 
-// ── GitHub API helpers ─────────────────────────────────────────────────
-
-const token = process.env.GITHUB_TOKEN;
-if (!token) { console.error('Set GITHUB_TOKEN env var'); process.exit(1); }
-
-async function ghJson(url, retries = 3) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    const res = await fetch(url, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: 'application/vnd.github+json',
-        'X-GitHub-Api-Version': '2022-11-28',
-      },
-    });
-
-    if (res.ok) return res.json();
-
-    // Handle rate limiting — wait until reset
-    if (res.status === 403 || res.status === 429) {
-      const resetHeader = res.headers.get('x-ratelimit-reset');
-      const remaining = res.headers.get('x-ratelimit-remaining');
-      if (resetHeader && (remaining === '0' || remaining === null)) {
-        const resetTime = parseInt(resetHeader, 10) * 1000;
-        const waitMs = Math.max(resetTime - Date.now(), 0) + 5000; // 5s buffer
-        const waitMin = Math.ceil(waitMs / 60000);
-        console.log(`  ⏳ Rate limited. Waiting ${waitMin} min until reset...`);
-        await new Promise((r) => setTimeout(r, waitMs));
-        continue; // retry
-      }
-      // Secondary rate limit — exponential backoff
-      const backoff = Math.pow(2, attempt) * 10000;
-      console.log(`  ⏳ Rate limited (no reset header). Waiting ${Math.ceil(backoff / 1000)}s...`);
-      await new Promise((r) => setTimeout(r, backoff));
-      continue;
+// Each release's PR window runs from the previous version's date, so versions
+// and publish dates must go up together
+function assertMonotonic(releases) {
+  for (let i = 1; i < releases.length; i++) {
+    const [newer, older] = [releases[i - 1], releases[i]];
+    if (newer.date && older.date && older.date > newer.date) {
+      throw new Error(`${older.tag} was published after ${newer.tag} — versions must increase with each release`);
     }
-
-    const text = await res.text();
-    throw new Error(`GitHub API error ${res.status} for ${url}: ${text}`);
-  }
-  throw new Error(`GitHub API failed after ${retries} retries for ${url}`);
-}
-
-// Fetch all pages of results
-async function ghJsonPaginated(baseUrl) {
-  let page = 1;
-  const all = [];
-  while (true) {
-    const sep = baseUrl.includes('?') ? '&' : '?';
-    const data = await ghJson(`${baseUrl}${sep}per_page=100&page=${page}`);
-    if (!Array.isArray(data) || data.length === 0) break;
-    all.push(...data);
-    if (data.length < 100) break;
-    page++;
   }
-  return all;
 }
 
-// ── Main logic ─────────────────────────────────────────────────────────
-
 async function getAllReleases() {
   console.log(`Fetching releases from ${ORG}/${VERSION_SOURCE_REPO}...`);
   const releases = await ghJsonPaginated(
@@ -266,18 +96,17 @@ async function getAllReleases() {
     const tags = await ghJsonPaginated(
       `https://api.github.com/repos/${ORG}/${VERSION_SOURCE_REPO}/tags`
     );
-    return tags
-      .filter((t) => /^v?\d+\.\d+\.\d+/.test(t.name))
-      .map((t) => ({ tag: t.name, date: null }));
+    return sortByVersion(tags.map((t) => ({ tag: t.name, date: null })));
   }
 
-  return releases
-    .filter((r) => !r.draft)
+  const sorted = sortByVersion(releases
+    .filter((r) => !r.draft && !r.prerelease)
     .map((r) => ({
       tag: r.tag_name,
       date: r.published_at || r.created_at,
-    }))
-    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    })));
+  assertMonotonic(sorted);
+  return sorted;
 }
 
 async function getPRsForRelease(sinceDate, untilDate) {
@@ -288,113 +117,50 @@ async function getPRsForRelease(sinceDate, untilDate) {
   if (untilDate) qParts.push(`merged:<=${untilDate.slice(0, 10)}`);
 
   const query = encodeURIComponent(qParts.join(' '));
-  const url = `https://api.github.com/search/issues?q=${query}&per_page=100`;
-
-  const data = await ghJson(url);
-  return data.items || [];
-}
+  const url = `https://api.github.com/search/issues?q=${query}`;
 
-async function fetchPull(repo, number) {
-  return ghJson(`https://api.github.com/repos/${ORG}/${repo}/pulls/${number}`);
+  // GitHub search never returns more than 1000 results for one query
+  return ghJsonPaginated(url, { select: (data) => data.items, total: (data) => data.total_count, maxItems: 1000 });
 }
 
-function buildGrouped(prs) {
-  const grouped = Object.fromEntries(REPOS.map((r) => [r, []]));
-
-  for (const pr of prs) {
-    const originalTitle = pr.title || '';
-    const isFix = /^fix/i.test(originalTitle) || /\bfix\b/i.test(originalTitle);
-    const isSprint = /^sprint\s+\d+/i.test(originalTitle);
-
-    const preferredSummary = extractPreferredSummaryFromBody(pr.body);
-    let displaySummary = toSingleLineSummary(preferredSummary) || cleanPRTitle(originalTitle);
-
-    if (isSprint && /^Sprint\s+\d+$/i.test(displaySummary)) {
-      displaySummary = `${displaySummary} release bundle`;
-    }
-
-    grouped[pr._repo].push({
-      number: pr.number,
-      title: displaySummary,
-      url: pr.html_url,
-      mergedAt: pr.merged_at,
-      isFix,
-      isSprint,
-    });
-  }
-
+// Each repo's PRs become entries through the generator's own path, as the
+// app the repo maps to, so the bullets match
+async function buildGrouped(prs) {
+  const grouped = {};
   for (const repo of REPOS) {
-    grouped[repo].sort((a, b) => (b.mergedAt || '').localeCompare(a.mergedAt || ''));
+    const { entries } = await buildAppEntries(prs.filter((pr) => pr._repo === repo), REPO_APPS[repo], {
+      summarizer,
+      onExclude: ({ number, title }) => console.log(`    Skipping ${repo}#${number}: "${title}"`),
+      onMerge: (merge) => console.log(`    Merged ${merge.merged.length} similar ${merge.bucket} bullets for ${repo}: "${merge.text}"`),
+    });
+    grouped[repo] = entries;
   }
-
   return grouped;
 }
 
-function toReleaseNotesMdx(version, grouped) {
-  const allPRs = REPOS.flatMap((r) => (grouped[r] || []));
-  const fixes = allPRs.filter((pr) => pr.isFix);
-  const features = allPRs.filter((pr) => !pr.isFix && !pr.isSprint);
-
-  const lines = [];
-  lines.push('---');
-  lines.push(`title: "${version}"`);
-  lines.push('description: "Revive platform production release"');
-  lines.push('---');
-  lines.push('');
-  lines.push('## Highlights');
-  lines.push('');
-  if (features.length > 0) {
-    for (const pr of features.slice(0, 6)) lines.push(`- ${pr.title}`);
-  } else if (fixes.length > 0) {
-    lines.push('- Bug fixes and stability improvements');
-  } else {
-    lines.push('- Routine maintenance release');
-  }
-  lines.push('');
-  lines.push('## Changes shipped to production');
-  lines.push('');
-
-  for (const repo of REPOS) {
-    const prs = grouped[repo] || [];
-    lines.push(`### ${repo}`);
-    lines.push('');
-    if (prs.length === 0) { lines.push('No updates in this release.'); lines.push(''); continue; }
-    for (const pr of prs) lines.push(`- ${pr.title} ([#${pr.number}](${pr.url}))`);
-    lines.push('');
-  }
+// One <Update> per repo, built exactly like generate-release-notes.mjs does
+function toReleaseNotesMdx(version, releaseDate, grouped) {
+  const dateLabel = releaseDate ? releaseDateParts(releaseDate, TIME_ZONE).label : version;
 
-  lines.push('## Fixes');
-  lines.push('');
-  if (fixes.length > 0) {
-    for (const pr of fixes) lines.push(`- ${pr.title} ([#${pr.number}](${pr.url}))`);
-  } else {
-    lines.push('No bug fixes in this release.');
+  const updates = REPOS
+    .filter((repo) => (grouped[repo] || []).length > 0)
+    .map((repo) => buildUpdate(repo, grouped[repo], dateLabel, version, {
+      onMerge: (merge) => console.log(`    Merged ${merge.merged.length} similar ${merge.bucket} bullets for ${repo}: "${merge.text}"`),
+    }));
+  if (updates.length === 0) {
+    updates.push(buildUpdate(REPOS[0], [], dateLabel, version));
+    updates[0].tags = [...REPOS];
   }
-  lines.push('');
-  lines.push('## Breaking changes');
-  lines.push('');
-  lines.push('No breaking changes.');
-  lines.push('');
 
-  return lines.join('\n');
+  const doc = createReleaseNotesDoc({ title: version, description: 'Revive platform production release' });
+  prependUpdates(doc, updates);
+  return serializeReleaseNotes(doc);
 }
 
 function updateDocsJson(docsJsonPath, versions) {
   const raw = fs.readFileSync(docsJsonPath, 'utf8');
   const config = JSON.parse(raw);
-
-  const tabs = config.navigation?.tabs || [];
-  let releasesGroup = null;
-  for (const tab of tabs) {
-    for (const group of tab.groups || []) {
-      if (group.group === 'Releases') { releasesGroup = group; break; }
-    }
-    if (releasesGroup) break;
-  }
-  if (!releasesGroup) {
-    console.error('Could not find "Releases" group in docs.json');
-    return;
-  }
+  const releasesGroup = findNavGroup(config, RELEASE_NOTES_GROUP);
 
   // Group versions by year
   const byYear = {};
@@ -414,7 +180,7 @@ function updateDocsJson(docsJsonPath, versions) {
     }));
 
   releasesGroup.pages = [...nonGroupPages, ...yearGroups];
-  fs.writeFileSync(docsJsonPath, JSON.stringify(config, null, 2) + '\n');
+  fs.writeFileSync(docsJsonPath, serializeDocsJson(config));
 }
 
 function updateIndexMdx(indexPath, versions) {
@@ -450,6 +216,10 @@ ${cards}
 // ── Run ────────────────────────────────────────────────────────────────
 
 async function main() {
+  // Fail before any API calls if the nav group has moved
+  const docsJsonPath = path.join(process.cwd(), 'docs.json');
+  findNavGroup(JSON.parse(fs.readFileSync(docsJsonPath, 'utf8')), RELEASE_NOTES_GROUP);
+
   const releases = await getAllReleases();
   console.log(`Found ${releases.length} releases`);
 
@@ -471,7 +241,7 @@ async function main() {
 
   for (let i = 0; i < targetReleases.length; i++) {
     const release = targetReleases[i];
-    const version = release.tag.replace(/^v/, 'v'); // normalize
+    const version = release.tag;
     const untilDate = release.date;
     const mdxPath = path.join(outDir, `${version}.mdx`);
 
@@ -504,7 +274,6 @@ async function main() {
         try {
           const pr = await fetchPull(repo, item.number);
           if (!pr.merged_at) continue;
-          if (shouldExcludePRTitle(pr.title)) continue;
           enriched.push({ ...pr, _repo: repo });
         } catch (e) {
           console.warn(`  Warning: failed to fetch ${repo}#${item.number}: ${e.message}`);
@@ -514,8 +283,8 @@ async function main() {
         await new Promise((r) => setTimeout(r, 150));
       }
 
-      const grouped = buildGrouped(enriched);
-      const mdxContent = toReleaseNotesMdx(version, grouped);
+      const grouped = await buildGrouped(enriched);
+      const mdxContent = toReleaseNotesMdx(version, untilDate, grouped);
       fs.writeFileSync(mdxPath, mdxContent);
       console.log(`  Generated: ${mdxPath}`);
 
@@ -536,7 +305,6 @@ async function main() {
   generatedVersions.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
 
   // Update docs.json and index
-  const docsJsonPath = path.join(process.cwd(), 'docs.json');
   updateDocsJson(docsJsonPath, generatedVersions);
   console.log('\nUpdated docs.json');
 
@@ -1,29 +1,25 @@
-import fs from 'node:fs';
+import { buildReleaseEntry, createGitHubClientFromEnv } from './lib/release-notes-core.mjs';
 
-const token = process.env.GITHUB_TOKEN;
-if (!token) {
-  console.error('Set GITHUB_TOKEN env var');
+// GITHUB_FIXTURES=<dir> GITHUB_FIXTURES_RECORD=true saves the PR as a test fixture
+let gh;
+try {
+  gh = createGitHubClientFromEnv();
+} catch (e) {
+  console.error(e.message);
   process.exit(1);
 }
 
 const repo = process.argv[2] || 'revive-api';
 const pr = process.argv[3] || '1861';
 
-const url = `https://api.github.com/repos/Revive-Home/${repo}/pulls/${pr}`;
-const res = await fetch(url, {
-  headers: {
-    Authorization: `Bearer ${token}`,
-    Accept: 'application/vnd.github+json',
-    'X-GitHub-Api-Version': '2022-11-28',
-  },
-});
-
-if (!res.ok) {
-  console.error(`Error ${res.status}: ${await res.text()}`);
+let data;
+try {
+  data = await gh.fetchPull(repo, pr);
+} catch (e) {
+  console.error(e.message);
   process.exit(1);
 }
 
-const data = await res.json();
 const body = data.body || '(empty body)';
 
 console.log('=== PR TITLE ===');
@@ -39,3 +35,6 @@ for (let i = 0; i < lines.length; i++) {
     console.log(`Line ${i}: ${lines[i].trim().slice(0, 200)}`);
   }
 }
+
+console.log('\n=== RELEASE-NOTE ENTRY ===');
+console.log(JSON.stringify(buildReleaseEntry(data), null, 2));
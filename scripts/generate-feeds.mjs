@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Rebuilds the release-notes Atom and JSON feeds (config "feeds") from
+ * release-notes.mdx and the monthly pages, one item per <Update>:
+ *
+ *   feeds/release-notes.xml, feeds/release-notes.json   every app
+ *   feeds/<app>.xml, feeds/<app>.json                   one app, e.g. feeds/api.xml
+ *
+ * generate-release-notes.mjs does this on every release; run it by hand after
+ * editing the pages directly (or adding a weekly recap).
+ *
+ * Usage:
+ *   node scripts/generate-feeds.mjs [--dry-run]
+ *
+ * Flags:
+ *   --dry-run  Print a unified diff of the feed files instead of writing them.
+ *
+ * Environment:
+ *   RELEASE_NOTES_CONFIG  Path to a different release-notes.config.json.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { readReleaseNotesPages, buildReleaseFeeds } from './lib/release-feeds.mjs';
+import { getReleaseNotesConfig } from './lib/release-notes-config.mjs';
+import { unifiedDiff } from './lib/unified-diff.mjs';
+
+// ---------------------------------------------------------------------------
+// CLI flags and config
+// ---------------------------------------------------------------------------
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+const config = getReleaseNotesConfig();
+
+// ---------------------------------------------------------------------------
+// Apply
+// ---------------------------------------------------------------------------
+function applyChange(change) {
+  const rel = path.relative(process.cwd(), change.filePath);
+  if (change.after === change.before) {
+    console.log(`No changes to ${rel}.`);
+    return;
+  }
+  fs.mkdirSync(path.dirname(change.filePath), { recursive: true });
+  fs.writeFileSync(change.filePath, change.after);
+  console.log(`${change.created ? 'Created' : 'Updated'} ${rel}.`);
+}
+
+function printDiff(change) {
+  const rel = path.relative(process.cwd(), change.filePath);
+  const diff = unifiedDiff(change.before, change.after, {
+    fromFile: change.created ? '/dev/null' : `a/${rel}`,
+    toFile: `b/${rel}`,
+  });
+  console.log(diff || `(no changes to ${rel})\n`);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+function main() {
+  if (!config.feeds) {
+    console.log('No "feeds" in the release-notes config — nothing to generate.');
+    return;
+  }
+
+  const pages = readReleaseNotesPages(process.cwd());
+  const changes = buildReleaseFeeds(pages, { ...config.feeds, apps: config.apps }).map(({ file, content }) => {
+    const filePath = path.join(process.cwd(), file);
+    const exists = fs.existsSync(filePath);
+    return { filePath, before: exists ? fs.readFileSync(filePath, 'utf8') : '', after: content, created: !exists };
+  });
+  console.log(`Building feeds from ${pages.length} release-notes pages.`);
+
+  if (dryRun) {
+    console.log('\n=== Diff (nothing written) ===\n');
+    changes.forEach(printDiff);
+    return;
+  }
+
+  console.log('');
+  changes.forEach(applyChange);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err);
+  process.exit(1);
+}
@@ -1,51 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Generates release notes for one release and prepends them to
+ * release-notes.mdx and the monthly file (e.g. release-notes/may-2026.mdx).
+ * Entries are tagged with an audience; the "changelogs" in
+ * release-notes.config.json (e.g. partner-changelog.mdx) get only the
+ * entries for their apps and audiences. Breaking ("Action required") entries
+ * for the apps in "migrationNotes" also get a migration stub in
+ * guides/changelog.mdx, linked from the release bullet. The Atom and JSON
+ * feeds in "feeds" (feeds/release-notes.xml, feeds/api.json, ...) are rebuilt
+ * from all release-notes pages on every run.
+ *
+ * Usage:
+ *   GITHUB_TOKEN=<token> RELEASE_VERSION=api-v3.3.0 SOURCE_REPO=api \
+ *     node scripts/generate-release-notes.mjs [--dry-run] [--json]
+ *
+ * RELEASE_VERSION is a tag of the released app — <tagPrefix><semver> from the
+ * config, e.g. api-v3.3.0, dashboard-v2.5.0 or v1.81.0. Malformed versions and
+ * versions lower than an earlier release of the same app are rejected before
+ * anything is fetched or written; the previous release is the next-lower version.
+ *
+ * Flags:
+ *   --dry-run  Print the <Update> blocks and a unified diff of the target
+ *              files (including docs.json) instead of writing them.
+ *   --json     Print the classified entries (and any near-duplicate bullets
+ *              merged per bucket) as JSON on stdout (progress
+ *              output moves to stderr). Combine with --dry-run to review a
+ *              release before it goes out.
+ *
+ * Environment:
+ *   RELEASE_OVERWRITE=true  Replace an existing <Update> for the same version
+ *                           and repo in place (keeping its position and date
+ *                           label) instead of skipping it.
+ *   RELEASE_DATE            Date the release (YYYY-MM-DD or an ISO timestamp)
+ *                           instead of using the GitHub release's published_at.
+ *   RELEASE_TIMEZONE        IANA timezone used to turn published_at into a
+ *                           calendar day and month (default: timeZone in the config).
+ *   RELEASE_SUMMARIZER      none | rules | llm — how extracted bullets are rewritten
+ *                           for customers (default: summarizer in the config, else rules).
+ *   RELEASE_SUMMARIZER_URL  Endpoint for the llm summarizer; RELEASE_SUMMARIZER_TOKEN
+ *                           is sent as a bearer token if set.
+ *   RELEASE_NOTES_CONFIG    Path to a different release-notes.config.json.
+ */
+
 import fs from 'node:fs';
 import path from 'node:path';
+import {
+  ORG,
+  BUCKETS,
+  cleanPRTitle,
+  buildAppEntries,
+  buildUpdate,
+  releaseDateParts,
+  appsForFiles,
+  createGitHubClientFromEnv,
+} from './lib/release-notes-core.mjs';
+import {
+  parseReleaseNotes,
+  serializeReleaseNotes,
+  serializeUpdate,
+  createReleaseNotesDoc,
+  findUpdate,
+  prependUpdates,
+} from './lib/release-notes-mdx.mjs';
+import { getReleaseNotesConfig } from './lib/release-notes-config.mjs';
+import { createSummarizer } from './lib/summarizer.mjs';
+import { buildMigrationStub, migrationLinkText, insertMigrationStubs } from './lib/migration-notes.mjs';
+import { parseReleaseTag, previousReleaseTag, monotonicityError } from './lib/semver.mjs';
+import { readReleaseNotesPages, buildReleaseFeeds } from './lib/release-feeds.mjs';
+import { addMonthlyReleasePage, addReleaseNotesPage, serializeDocsJson } from './lib/docs-nav.mjs';
+import { unifiedDiff } from './lib/unified-diff.mjs';
 
 // ---------------------------------------------------------------------------
 // Config
 // ---------------------------------------------------------------------------
-const ORG = 'Revive-Home';
-const MONOREPO = 'revive-apps';
-const APPS = ['dashboard', 'admin', 'api'];
-const STANDALONE_REPOS = ['revive-mobile'];
-const ALL_APPS = [...APPS, ...STANDALONE_REPOS];
-
-// PRs whose title matches any of these are silently skipped
-const EXCLUDE_TITLE_PATTERNS = [
-  /\bstaging\b/i,
-  /^update staging\b/i,
-  /^staging\b/i,
-  /^merge\b/i,
-  /^chore\(release\)/i,
-  /^ci[:(]/i,
-  /^build[:(]/i,
-];
-
-// CodeRabbit "Summary by CodeRabbit" marker
-const CODERABBIT_MARKER_RE = /^(?:[*_#]*\s*)*summary\s+by\s+coderabbit\s*(?:[*_]*\s*)$/i;
-
-// CodeRabbit section names → which release-note bucket they belong to
-const SECTION_TO_BUCKET = {
-  'New Features':      'new',
-  'Enhancements':      'new',
-  'Bug Fixes':         'fixed',
-  'Improvements':      'improved',
-  'Refactor':          'improved',
-  'Performance':       'improved',
-  'Validation':        'improved',
-  'Breaking Changes':  'action',
-};
-
-// Sections we skip entirely (internal noise)
-const SKIP_SECTIONS = new Set([
-  'Chores', 'Documentation', 'Tests', 'Style', 'Data', 'Other Changes',
-]);
-
-// All known section names (for parsing)
-const ALL_SECTION_NAMES = new Set([
-  ...Object.keys(SECTION_TO_BUCKET),
-  ...SKIP_SECTIONS,
-]);
+// Apps, repos and tag prefixes live in scripts/release-notes.config.json
+const config = getReleaseNotesConfig();
+const MONOREPO = config.monorepo;
+const APPS = config.monorepoApps;
+const STANDALONE_APPS = config.standaloneApps;
+const ALL_APPS = config.appIds;
+
+// Rewrites extracted bullets into "**Headline.** Sentence." (config "summarizer", RELEASE_SUMMARIZER)
+const summarizer = createSummarizer(config.summarizer);
+
+// Which monorepo app(s) a changed file belongs to — glob → app, or a list of apps for shared code
+const APP_PATHS = config.appPaths;
+
+// GitHub search never returns more than 1000 results for one query
+const SEARCH_RESULT_LIMIT = 1000;
+// Without a previous tag there is no range to compare, so only look this far back
+const FIRST_RELEASE_COMMIT_LIMIT = 500;
+
+// ---------------------------------------------------------------------------
+// CLI flags
+// ---------------------------------------------------------------------------
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const jsonOutput = args.includes('--json');
+
+// Keep stdout clean for the JSON document; progress logs go to stderr
+if (jsonOutput) console.log = console.error;
 
 // ---------------------------------------------------------------------------
 // Environment
@@ -56,10 +110,16 @@ function requiredEnv(name) {
   return v;
 }
 
-const token   = requiredEnv('GITHUB_TOKEN');
 const version = requiredEnv('RELEASE_VERSION');
 const since   = process.env.RELEASE_SINCE || '';
-const label   = process.env.RELEASE_LABEL || 'released';
+const label   = process.env.RELEASE_LABEL || config.releaseLabel;
+
+// Regenerate blocks already on the page instead of skipping them
+const overwrite = process.env.RELEASE_OVERWRITE === 'true';
+
+// When the release shipped — defaults to the GitHub release's published_at
+const releaseDate = process.env.RELEASE_DATE || '';
+const timeZone = process.env.RELEASE_TIMEZONE || config.timeZone;
 
 // Which repo triggered this run — if set, only generate notes for that repo
 const sourceRepo = process.env.SOURCE_REPO || '';
@@ -67,72 +127,116 @@ const sourceRepo = process.env.SOURCE_REPO || '';
 // ---------------------------------------------------------------------------
 // GitHub API helpers
 // ---------------------------------------------------------------------------
-async function ghJson(url) {
-  const res = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${token}`,
-      Accept: 'application/vnd.github+json',
-      'X-GitHub-Api-Version': '2022-11-28',
-    },
-  });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`GitHub API error ${res.status} for ${url}: ${text}`);
+// Set GITHUB_FIXTURES=<dir> to replay recorded responses instead of calling GitHub
+const gh = createGitHubClientFromEnv();
+const ghJson = gh.getJson;
+const ghJsonPaginated = gh.getPaginated;
+const fetchPull = gh.fetchPull;
+const fetchPullFiles = gh.fetchPullFiles;
+
+// Every published release in a repo, newest first (cached — several lookups share it)
+const releasesByRepo = new Map();
+function listReleases(repoName) {
+  if (!releasesByRepo.has(repoName)) {
+    releasesByRepo.set(repoName, ghJsonPaginated(`https://api.github.com/repos/${ORG}/${repoName}/releases`));
   }
-  return res.json();
+  return releasesByRepo.get(repoName);
+}
+
+// Published, non-prerelease releases of one app — tags are <tagPrefix><semver>,
+// e.g. api-v3.2.0, dashboard-v2.2.0, v1.81.0; anything else is ignored
+async function listAppReleases(appName) {
+  const { tagPrefix } = config.apps[appName];
+  const releases = await listReleases(releaseRepoFor(appName));
+  return releases.filter((r) => !r.draft && !r.prerelease && parseReleaseTag(r.tag_name, tagPrefix));
 }
 
 async function getPreviousReleaseDate(appName) {
-  // For monorepo apps, releases use tags like api-v3.2.0, dashboard-v2.2.0
-  const isMonorepo = APPS.includes(appName);
-  const repoName = isMonorepo ? MONOREPO : appName;
-  const url = `https://api.github.com/repos/${ORG}/${repoName}/releases?per_page=20`;
-  const releases = await ghJson(url);
-  const published = releases.filter((r) => {
-    if (r.draft || r.prerelease) return false;
-    // For monorepo, only match releases tagged for this app (e.g. api-v)
-    if (isMonorepo) return r.tag_name?.startsWith(`${appName}-v`);
-    return true;
-  });
-  // The first is the current release (just published), the second is the previous one
-  const prev = published.length > 1 ? published[1] : published[0];
+  const releases = await listAppReleases(appName);
+  const prevTag = previousReleaseTag(releases.map((r) => r.tag_name), version, config.apps[appName].tagPrefix);
+  const prev = releases.find((r) => r.tag_name === prevTag);
   if (!prev) return null;
   return (prev.published_at || prev.created_at || '').slice(0, 10);
 }
 
+// Repo whose releases carry the app's tags
+function releaseRepoFor(appName) {
+  return config.apps[appName].repo;
+}
+
+// RELEASE_VERSION must be a well-formed tag of the app being released, and
+// newer than every release of that app published before it
+async function validateReleaseVersion() {
+  if (sourceRepo && !config.apps[sourceRepo]) {
+    throw new Error(`Unknown SOURCE_REPO "${sourceRepo}" (expected one of: ${ALL_APPS.join(', ')})`);
+  }
+  const tagApps = ALL_APPS.filter((app) => parseReleaseTag(version, config.apps[app].tagPrefix));
+  if (tagApps.length === 0) {
+    const examples = ALL_APPS.map((app) => `${config.apps[app].tagPrefix}1.2.3`).join(', ');
+    throw new Error(`Invalid RELEASE_VERSION "${version}": expected <tag prefix><major>.<minor>.<patch>, e.g. ${examples}`);
+  }
+  if (sourceRepo && !tagApps.includes(sourceRepo)) {
+    throw new Error(`RELEASE_VERSION "${version}" is not a ${sourceRepo} tag (expected ${config.apps[sourceRepo].tagPrefix}<major>.<minor>.<patch>)`);
+  }
+
+  const app = sourceRepo || tagApps[0];
+  const releases = (await listReleases(releaseRepoFor(app)))
+    .filter((r) => !r.draft)
+    .map((r) => ({ tag: r.tag_name, publishedAt: r.published_at || r.created_at || '' }));
+  const error = monotonicityError(releases, version, config.apps[app].tagPrefix);
+  if (error) throw new Error(`Refusing to generate release notes: ${error}. Versions must increase with each release.`);
+}
+
+// The release's published_at, from the source repo (or the first repo that has the tag)
+async function getReleasePublishedAt(tag) {
+  const repos = sourceRepo ? [releaseRepoFor(sourceRepo)] : [...new Set(ALL_APPS.map(releaseRepoFor))];
+  for (const repoName of repos) {
+    try {
+      const release = await ghJson(`https://api.github.com/repos/${ORG}/${repoName}/releases/tags/${encodeURIComponent(tag)}`);
+      const publishedAt = release.published_at || release.created_at;
+      if (publishedAt) return { repoName, publishedAt };
+    } catch (e) {
+      console.log(`  No release ${tag} in ${repoName}: ${e.message.split('\n')[0]}`);
+    }
+  }
+  throw new Error(`Could not find a published GitHub release for ${tag}. Set RELEASE_DATE=YYYY-MM-DD to date it explicitly.`);
+}
+
+async function resolveReleaseDate() {
+  if (releaseDate) {
+    console.log(`  Release date: ${releaseDate} (RELEASE_DATE)`);
+    return releaseDateParts(releaseDate, timeZone);
+  }
+  const { repoName, publishedAt } = await getReleasePublishedAt(version);
+  console.log(`  Release date: ${publishedAt} (published_at in ${repoName}, ${timeZone})`);
+  return releaseDateParts(publishedAt, timeZone);
+}
+
 // For monorepo apps: use the GitHub compare API to find PRs between two release tags
 async function getMonorepoPRsBetweenTags(appName, currentTag) {
-  // Find the previous release tag for this app
-  const url = `https://api.github.com/repos/${ORG}/${MONOREPO}/releases?per_page=30`;
-  const releases = await ghJson(url);
-  const appReleases = releases.filter((r) => {
-    if (r.draft || r.prerelease) return false;
-    return r.tag_name?.startsWith(`${appName}-v`);
-  });
-
-  // Find the current and previous tags
-  const currentIdx = appReleases.findIndex((r) => r.tag_name === currentTag);
-  const prevTag = currentIdx >= 0 && currentIdx < appReleases.length - 1
-    ? appReleases[currentIdx + 1].tag_name
-    : null;
+  // The previous tag is the next-lower version, wherever GitHub lists it
+  const appReleases = await listAppReleases(appName);
+  const prevTag = previousReleaseTag(appReleases.map((r) => r.tag_name), currentTag, config.apps[appName].tagPrefix);
 
   if (!prevTag) {
-    console.log(`  No previous tag found for ${appName} before ${currentTag}, using all commits`);
+    console.log(`  No previous tag found for ${appName} before ${currentTag}, using up to ${FIRST_RELEASE_COMMIT_LIMIT} commits`);
   }
 
-  // Get commits between tags (or all commits up to current tag)
-  let compareUrl;
+  // Get commits between tags (or the most recent commits up to the current tag)
+  let commits;
   if (prevTag) {
-    compareUrl = `https://api.github.com/repos/${ORG}/${MONOREPO}/compare/${prevTag}...${currentTag}`;
     console.log(`  Comparing ${prevTag}...${currentTag}`);
+    commits = await ghJsonPaginated(
+      `https://api.github.com/repos/${ORG}/${MONOREPO}/compare/${prevTag}...${currentTag}`,
+      { select: (data) => data.commits, total: (data) => data.total_commits },
+    );
   } else {
-    // Fallback: get commits for the current tag
-    compareUrl = `https://api.github.com/repos/${ORG}/${MONOREPO}/commits?sha=${currentTag}&per_page=100`;
+    commits = await ghJsonPaginated(
+      `https://api.github.com/repos/${ORG}/${MONOREPO}/commits?sha=${currentTag}`,
+      { maxItems: FIRST_RELEASE_COMMIT_LIMIT },
+    );
   }
 
-  const data = await ghJson(compareUrl);
-  const commits = data.commits || data;
-
   // Extract PR numbers from merge commit messages
   const prNumbers = new Set();
   for (const commit of commits) {
@@ -162,41 +266,40 @@ async function getMonorepoPRsBetweenTags(appName, currentTag) {
 async function searchMergedPRs(targetApps, sinceDate) {
   // Determine which GitHub repos to search
   const searchRepos = new Set();
-  for (const app of targetApps) {
-    if (APPS.includes(app)) searchRepos.add(MONOREPO);
-    else searchRepos.add(app); // standalone repos like revive-mobile
-  }
+  for (const app of targetApps) searchRepos.add(releaseRepoFor(app));
   const repoQuery = [...searchRepos].map((r) => `repo:${ORG}/${r}`).join(' ');
   const parts = [repoQuery, 'is:pr', 'is:merged'];
   if (label) parts.push(`label:${label}`);
   if (sinceDate) parts.push(`merged:>=${sinceDate}`);
   const q = parts.join(' ');
-  const url = `https://api.github.com/search/issues?q=${encodeURIComponent(q)}&per_page=100`;
   console.log(`  Search query: ${q}`);
-  const data = await ghJson(url);
+  const items = await searchIssues(q);
 
   // If label filter returned 0 results and a label was specified, retry without it
-  if (data.total_count === 0 && label) {
+  if (items.length === 0 && label) {
     console.log(`  No PRs found with label "${label}", retrying without label filter...`);
     const fallbackParts = [repoQuery, 'is:pr', 'is:merged'];
     if (sinceDate) fallbackParts.push(`merged:>=${sinceDate}`);
     const fallbackQ = fallbackParts.join(' ');
-    const fallbackUrl = `https://api.github.com/search/issues?q=${encodeURIComponent(fallbackQ)}&per_page=100`;
     console.log(`  Fallback query: ${fallbackQ}`);
-    const fallbackData = await ghJson(fallbackUrl);
-    console.log(`  Found ${fallbackData.total_count} PR(s)`);
-    return fallbackData.items || [];
+    const fallbackItems = await searchIssues(fallbackQ);
+    console.log(`  Found ${fallbackItems.length} PR(s)`);
+    return fallbackItems;
   }
 
-  console.log(`  Found ${data.total_count} PR(s)`);
-  return data.items || [];
+  console.log(`  Found ${items.length} PR(s)`);
+  return items;
 }
 
-async function fetchPull(repoSlug, number) {
-  return ghJson(`https://api.github.com/repos/${ORG}/${repoSlug}/pulls/${number}`);
+function searchIssues(q) {
+  return ghJsonPaginated(`https://api.github.com/search/issues?q=${encodeURIComponent(q)}`, {
+    select: (data) => data.items,
+    total: (data) => data.total_count,
+    maxItems: SEARCH_RESULT_LIMIT,
+  });
 }
 
-// Determine which app a monorepo PR belongs to based on labels or file paths
+// Fallback when no changed file matches APP_PATHS: labels, then title hints
 function classifyMonorepoPR(pr) {
   const labels = (pr.labels || []).map((l) => l.name.toLowerCase());
   for (const app of APPS) {
@@ -213,219 +316,216 @@ function classifyMonorepoPR(pr) {
   return null; // could not classify
 }
 
+// Apps a monorepo PR belongs to, from the files it changed. PRs that touch no
+// app directory fall back to labels/title, then to the tag range they came from.
+async function appsForMonorepoPR(pr, rangeApp) {
+  const files = await fetchPullFiles(MONOREPO, pr.number);
+  const byPath = appsForFiles(files, APP_PATHS);
+  if (byPath.length > 0) return byPath;
+  const byLabel = classifyMonorepoPR(pr);
+  return [byLabel || rangeApp];
+}
+
 // ---------------------------------------------------------------------------
-// Title cleaning
+// Merge into release-notes.mdx (with duplicate guard)
 // ---------------------------------------------------------------------------
-function cleanPRTitle(raw) {
-  let t = raw.trim();
-
-  // Strip conventional-commit prefix
-  t = t.replace(/^(?:feat|fix|chore|refactor|docs|ci|style|perf|test|build)\s*(?:\([^)]*\))?\s*:\s*/i, '');
-
-  // Branch-name style: TEC-1234/some-feature/Author-Name → some feature
-  if (/^[A-Z]{2,}-\d+\//.test(t)) {
-    const segs = t.split('/');
-    const meaningful = segs.filter((s, i) => {
-      if (/^[A-Z]{2,}-\d+$/.test(s)) return false;
-      if (i === segs.length - 1 && /^[A-Z][a-z]+-[A-Z][a-z]+$/.test(s)) return false;
-      return true;
-    });
-    if (meaningful.length > 0) t = meaningful.join(' ');
-  }
+// Adds `updates` to the top of `doc`, skipping (or, in overwrite mode,
+// replacing in place) any Update already present for the same version + repo
+function mergeUpdates(doc, updates) {
+  const fresh = updates.filter((update) => {
+    const [tag] = update.tags;
+    const existing = findUpdate(doc, update.description, tag);
+    if (!existing) return true;
+
+    if (!overwrite) {
+      console.log(`  Skipping ${update.description} [${tag}] — already present.`);
+      return false;
+    }
+
+    // Overwrite: replace in place, keeping the original position and date label
+    const idx = doc.updates.indexOf(existing);
+    doc.updates[idx] = { ...update, label: existing.label, leading: existing.leading };
+    console.log(`  Replaced ${update.description} [${tag}] in place (label "${existing.label}").`);
+    return false;
+  });
 
-  t = t.replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
-  t = t.charAt(0).toUpperCase() + t.slice(1);
-  return t;
+  if (fresh.length === 0 && !overwrite) {
+    console.log('All blocks already present — nothing to prepend.');
+  }
+  prependUpdates(doc, fresh);
+  return doc;
 }
 
-// ---------------------------------------------------------------------------
-// CodeRabbit summary parsing — returns categorized bullet items
-// ---------------------------------------------------------------------------
-function isKnownSection(line) {
-  let cleaned = line.replace(/^[\s*_#-]+/, '').replace(/[\s*_#]+$/, '');
-  return ALL_SECTION_NAMES.has(cleaned) ? cleaned : null;
+function planFileUpdate(filePath, updates) {
+  const before = fs.readFileSync(filePath, 'utf8');
+  const after = serializeReleaseNotes(mergeUpdates(parseReleaseNotes(before), updates));
+  return { filePath, before, after };
 }
 
-function parseCodeRabbitSummary(body) {
-  if (!body) return null;
-
-  const lines = body.replace(/\r\n/g, '\n').split('\n');
-  const startIdx = lines.findIndex((l) => CODERABBIT_MARKER_RE.test(l.trim()));
-  if (startIdx === -1) return null;
-
-  // Collect lines until boundary
-  const blockLines = [];
-  for (let i = startIdx + 1; i < lines.length; i++) {
-    const t = lines[i].trim();
-    if (t.startsWith('<!--') && t.includes('end of auto-generated')) break;
-    if (t.startsWith('<!--')) continue;
-    if (CODERABBIT_MARKER_RE.test(t)) break;
-    if (/^#{2,6}\s+/.test(t) && !isKnownSection(t)) break;
-    if (t.toLowerCase() === 'image') break;
-    blockLines.push(lines[i]);
+function planReleaseNotes(updates) {
+  const releaseNotesPath = path.join(process.cwd(), 'release-notes.mdx');
+  if (!fs.existsSync(releaseNotesPath)) {
+    throw new Error(`Release notes page not found: ${releaseNotesPath}`);
   }
+  return planFileUpdate(releaseNotesPath, updates);
+}
 
-  if (blockLines.length === 0) return null;
+// ---------------------------------------------------------------------------
+// Prepend to monthly release-notes file (e.g. release-notes/may-2026.mdx)
+// ---------------------------------------------------------------------------
+// In overwrite mode, a block regenerated later still belongs to the month it
+// was first published in, so look for it across the existing monthly files
+function findMonthlyFileWithUpdates(monthlyDir, updates) {
+  if (!fs.existsSync(monthlyDir)) return null;
+  for (const f of fs.readdirSync(monthlyDir).filter((n) => n.endsWith('.mdx')).sort()) {
+    const doc = parseReleaseNotes(fs.readFileSync(path.join(monthlyDir, f), 'utf8'));
+    if (updates.some((u) => findUpdate(doc, u.description, u.tags[0]))) return path.join(monthlyDir, f);
+  }
+  return null;
+}
 
-  // Parse into section → items[]
-  const result = { new: [], improved: [], fixed: [], action: [] };
-  let currentSection = null;
-  let hasSections = false;
+function planMonthlyFile(updates, { monthTitle, monthSlug }) {
+  const existingPath = overwrite && findMonthlyFileWithUpdates(path.join(process.cwd(), 'release-notes'), updates);
+  if (existingPath) return planFileUpdate(existingPath, updates);
 
-  for (const raw of blockLines) {
-    const line = raw.trim();
-    if (!line) continue;
+  const monthlyPath = path.join(process.cwd(), 'release-notes', `${monthSlug}.mdx`);
 
-    const sectionName = isKnownSection(line);
-    if (sectionName) {
-      currentSection = sectionName;
-      hasSections = true;
-      continue;
-    }
-    if (!currentSection) continue;
-    if (SKIP_SECTIONS.has(currentSection)) continue;
-
-    // Clean the bullet text
-    let text = line
-      .replace(/^[\s*_-]+/, '')   // strip leading bullet/bold markers
-      .replace(/[\s*_]+$/, '')    // strip trailing
-      .replace(/<\/?[^>]+>/g, '') // strip HTML tags
-      .replace(/!?\[!?\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '') // strip nested markdown image/badge links
-      .replace(/!?\[[^\]]*\]\([^)]*\)/g, '') // strip markdown images/links
-      .trim();
-
-    if (!text) continue;
-
-    // Sentence case
-    text = text.charAt(0).toUpperCase() + text.slice(1);
-    // Ensure ends with a period
-    if (!/[.!?]$/.test(text)) text += '.';
-
-    const bucket = SECTION_TO_BUCKET[currentSection];
-    if (bucket && result[bucket]) {
-      result[bucket].push(text);
-    }
+  if (!fs.existsSync(monthlyPath)) {
+    const doc = createReleaseNotesDoc({
+      title: monthTitle,
+      description: `${monthTitle} release notes for the Revive platform — features, improvements, bug fixes, and breaking changes shipped across the API and frontend apps.`,
+    });
+    prependUpdates(doc, updates);
+    return { filePath: monthlyPath, before: '', after: serializeReleaseNotes(doc), created: true };
   }
 
-  if (!hasSections) return null;
-
-  const total = result.new.length + result.improved.length + result.fixed.length + result.action.length;
-  return total > 0 ? result : null;
+  // File exists — merge after frontmatter (reuse same logic)
+  return planFileUpdate(monthlyPath, updates);
 }
 
 // ---------------------------------------------------------------------------
-// Build the <Update> block for one repo
+// Audience-filtered changelogs (config "changelogs", e.g. partner-changelog.mdx)
 // ---------------------------------------------------------------------------
-function buildUpdateBlock(repo, entries, dateLabel, versionLabel) {
-  // Merge all entries into combined buckets
-  const buckets = { new: [], improved: [], fixed: [], action: [] };
-
-  for (const entry of entries) {
-    for (const bucket of ['new', 'improved', 'fixed', 'action']) {
-      for (const item of entry[bucket]) {
-        buckets[bucket].push(`- ${item} ${entry.link}`);
-      }
-    }
+// One Update per app, keeping only the entries written for this changelog's audiences
+function buildChangelogUpdates(changelog, processed, date) {
+  const updates = [];
+  for (const app of changelog.apps) {
+    const entries = (processed[app] || []).filter((e) => changelog.audiences.includes(e.audience));
+    if (entries.length > 0) updates.push(buildUpdate(app, entries, date.label, version));
   }
+  return updates;
+}
+
+function planChangelogFile(changelog, updates) {
+  const filePath = path.join(process.cwd(), changelog.file);
+  if (fs.existsSync(filePath)) return planFileUpdate(filePath, updates);
 
-  const lines = [];
-  lines.push(`<Update label="${dateLabel}" description="${versionLabel}" tags={["${repo}"]}>`);
-  lines.push('');
-
-  lines.push('### New');
-  lines.push('');
-  if (buckets.new.length > 0) buckets.new.forEach((e) => lines.push(e));
-  else lines.push('No new features in this release.');
-  lines.push('');
-
-  lines.push('### Improved');
-  lines.push('');
-  if (buckets.improved.length > 0) buckets.improved.forEach((e) => lines.push(e));
-  else lines.push('No improvements in this release.');
-  lines.push('');
-
-  lines.push('### Fixed');
-  lines.push('');
-  if (buckets.fixed.length > 0) buckets.fixed.forEach((e) => lines.push(e));
-  else lines.push('No bug fixes in this release.');
-  lines.push('');
-
-  lines.push('### Action required');
-  lines.push('');
-  if (buckets.action.length > 0) buckets.action.forEach((e) => lines.push(e));
-  else lines.push('No action required for existing integrations.');
-  lines.push('');
-  lines.push('</Update>');
-
-  return lines.join('\n');
+  const doc = createReleaseNotesDoc({ title: changelog.title, description: changelog.description });
+  prependUpdates(doc, updates);
+  return { filePath, before: '', after: serializeReleaseNotes(doc), created: true };
 }
 
 // ---------------------------------------------------------------------------
-// Prepend to release-notes.mdx (with duplicate guard)
+// Migration stubs for breaking changes (config "migrationNotes", e.g. guides/changelog.mdx)
 // ---------------------------------------------------------------------------
-function prependUpdateToReleaseNotes(releaseNotesPath, blocks) {
-  let content = fs.readFileSync(releaseNotesPath, 'utf8');
-  const frontmatterEnd = content.indexOf('---', content.indexOf('---') + 3);
-  if (frontmatterEnd === -1) return;
-
-  const newBlocks = blocks.filter((block) => {
-    const descMatch = block.match(/description="([^"]+)"/);
-    const tagMatch = block.match(/tags={\["([^"]+)"\]}/);
-    if (descMatch && tagMatch) {
-      const needle = `description="${descMatch[1]}" tags={["${tagMatch[1]}"]}`;
-      if (content.includes(needle)) {
-        console.log(`  Skipping ${descMatch[1]} [${tagMatch[1]}] — already present.`);
-        return false;
-      }
-    }
-    return true;
+function migrationNotesPage() {
+  return '/' + config.migrationNotes.file.replace(/\.mdx$/, '');
+}
+
+// Adds a stub for the entry's Action required items and links each of them to it
+function addMigrationStub(stubs, entry, pr, date) {
+  const stub = buildMigrationStub({
+    title: cleanPRTitle(pr.title),
+    number: pr.number,
+    url: pr.html_url,
+    version,
+    dateLabel: date.label,
+    items: entry.details?.action || entry.action,
+    body: pr.body,
   });
+  // A PR released for two of the apps gets one stub
+  if (!stubs.some((s) => s.heading === stub.heading)) stubs.push(stub);
+  const link = migrationLinkText(migrationNotesPage(), stub.anchor);
+  entry.action = entry.action.map((text) => `${text} ${link}`);
+}
 
-  if (newBlocks.length === 0) {
-    console.log('All blocks already present — nothing to prepend.');
-    return;
+// Stubs already in the guide (possibly filled in by hand) are left alone
+function planMigrationNotes(stubs) {
+  const filePath = path.join(process.cwd(), config.migrationNotes.file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Migration notes guide not found: ${filePath}`);
   }
+  const before = fs.readFileSync(filePath, 'utf8');
+  const { text, added, skipped } = insertMigrationStubs(before, stubs, config.migrationNotes.heading);
+  for (const stub of skipped) console.log(`  Migration note "${stub.heading}" already present — leaving it as is.`);
+  for (const stub of added) console.log(`  Adding migration note "${stub.heading}" to ${config.migrationNotes.file}.`);
+  return { filePath, before, after: text };
+}
 
-  const insertAt = frontmatterEnd + 3;
-  const combined = newBlocks.join('\n\n');
-  content = content.slice(0, insertAt) + '\n\n' + combined + '\n' + content.slice(insertAt);
-  fs.writeFileSync(releaseNotesPath, content);
+// ---------------------------------------------------------------------------
+// Atom and JSON feeds (config "feeds", e.g. feeds/release-notes.xml)
+// ---------------------------------------------------------------------------
+// Rebuilt from every release-notes page as this run will leave it
+function planFeeds(changes) {
+  const overrides = new Map(changes.map((c) => [c.filePath, c.after]));
+  const pages = readReleaseNotesPages(process.cwd(), overrides);
+  return buildReleaseFeeds(pages, { ...config.feeds, apps: config.apps }).map(({ file, content }) => {
+    const filePath = path.join(process.cwd(), file);
+    const exists = fs.existsSync(filePath);
+    return { filePath, before: exists ? fs.readFileSync(filePath, 'utf8') : '', after: content, created: !exists };
+  });
 }
 
 // ---------------------------------------------------------------------------
-// Prepend to monthly release-notes file (e.g. release-notes/may-2026.mdx)
+// Add new pages to the docs.json "Release notes" nav group
 // ---------------------------------------------------------------------------
-function prependToMonthlyFile(blocks) {
-  const now = new Date();
-  const monthName = now.toLocaleDateString('en-US', { month: 'long' }).toLowerCase();
-  const year = now.getFullYear();
-  const fileName = `${monthName}-${year}.mdx`;
-  const monthlyDir = path.join(process.cwd(), 'release-notes');
-  const monthlyPath = path.join(monthlyDir, fileName);
-
-  if (!fs.existsSync(monthlyDir)) {
-    fs.mkdirSync(monthlyDir, { recursive: true });
+function planDocsNav(monthlyPath, changelogPaths) {
+  const docsJsonPath = path.join(process.cwd(), 'docs.json');
+  if (!fs.existsSync(docsJsonPath)) {
+    throw new Error(`docs.json not found: ${docsJsonPath}`);
   }
+  const before = fs.readFileSync(docsJsonPath, 'utf8');
+  const docsConfig = JSON.parse(before);
+  const toPage = (filePath) => path.relative(process.cwd(), filePath).split(path.sep).join('/').replace(/\.mdx$/, '');
+
+  const monthlyPage = toPage(monthlyPath);
+  if (addMonthlyReleasePage(docsConfig, monthlyPage)) console.log(`  Adding ${monthlyPage} to docs.json navigation.`);
+  for (const page of changelogPaths.map(toPage)) {
+    if (addReleaseNotesPage(docsConfig, page)) console.log(`  Adding ${page} to docs.json navigation.`);
+  }
+  return { filePath: docsJsonPath, before, after: serializeDocsJson(docsConfig) };
+}
 
-  const titleCase = monthName.charAt(0).toUpperCase() + monthName.slice(1);
-  const frontmatter = `---\ntitle: "${titleCase} ${year}"\ndescription: "${titleCase} ${year} release notes for the Revive platform — features, improvements, bug fixes, and breaking changes shipped across the API and frontend apps."\n---\n`;
-
-  if (!fs.existsSync(monthlyPath)) {
-    fs.writeFileSync(monthlyPath, frontmatter + '\n' + blocks.join('\n\n') + '\n');
-    console.log(`Created ${fileName} with ${blocks.length} block(s).`);
-    return fileName;
+// ---------------------------------------------------------------------------
+// Write or preview planned file changes
+// ---------------------------------------------------------------------------
+function applyChange(change) {
+  const rel = path.relative(process.cwd(), change.filePath);
+  if (change.after === change.before) {
+    console.log(`No changes to ${rel}.`);
+    return;
   }
+  fs.mkdirSync(path.dirname(change.filePath), { recursive: true });
+  fs.writeFileSync(change.filePath, change.after);
+  console.log(`${change.created ? 'Created' : 'Updated'} ${rel}.`);
+}
 
-  // File exists — prepend after frontmatter (reuse same logic)
-  prependUpdateToReleaseNotes(monthlyPath, blocks);
-  console.log(`Prepended ${blocks.length} block(s) to ${fileName}.`);
-  return fileName;
+function printDiff(change) {
+  const rel = path.relative(process.cwd(), change.filePath);
+  const diff = unifiedDiff(change.before, change.after, {
+    fromFile: change.created ? '/dev/null' : `a/${rel}`,
+    toFile: `b/${rel}`,
+  });
+  console.log(diff || `(no changes to ${rel})\n`);
 }
 
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 async function main() {
+  // Reject malformed or out-of-order versions before fetching (or writing) anything
+  await validateReleaseVersion();
+
   // Determine which apps to search
   const targetApps = sourceRepo && ALL_APPS.includes(sourceRepo) ? [sourceRepo] : ALL_APPS;
 
@@ -439,20 +539,34 @@ async function main() {
   console.log(`\nGenerating release notes for ${version}`);
   console.log(`  Source app: ${sourceRepo || '(all apps)'}`);
   console.log(`  Target apps: ${targetApps.join(', ')}`);
-  console.log(`  Label: ${label} | Since: ${sinceDate || '(all time)'}\n`);
+  console.log(`  Label: ${label} | Since: ${sinceDate || '(all time)'}`);
+  const date = await resolveReleaseDate();
+  console.log('');
 
   // Group PRs by app and process each
   const grouped = Object.fromEntries(targetApps.map((r) => [r, []]));
 
   // For monorepo apps: use tag comparison to find PRs (much more accurate)
   const monorepoApps = targetApps.filter((a) => APPS.includes(a));
-  const standaloneApps = targetApps.filter((a) => !APPS.includes(a));
+  const standaloneApps = targetApps.filter((a) => STANDALONE_APPS.includes(a));
 
-  // Fetch monorepo PRs via tag comparison
-  for (const app of monorepoApps) {
-    const prs = await getMonorepoPRsBetweenTags(app, version);
+  // Fetch monorepo PRs via tag comparison, then attribute each one to the
+  // app(s) whose files it changed — a PR touching api and dashboard lands in both
+  const seen = new Set();
+  for (const rangeApp of monorepoApps) {
+    const prs = await getMonorepoPRsBetweenTags(rangeApp, version);
     for (const pr of prs) {
-      grouped[app].push(pr);
+      if (seen.has(pr.number)) continue;
+      seen.add(pr.number);
+
+      const apps = await appsForMonorepoPR(pr, rangeApp);
+      const included = apps.filter((a) => grouped[a]);
+      if (included.length === 0) {
+        console.log(`  PR #${pr.number} only changes ${apps.join(', ')} — left for that release`);
+        continue;
+      }
+      if (apps.length > 1) console.log(`  PR #${pr.number} spans ${apps.join(', ')}`);
+      for (const app of included) grouped[app].push(pr);
     }
   }
 
@@ -469,90 +583,91 @@ async function main() {
     const [org, repoSlug] = fullRepo.split('/');
     if (org !== ORG) continue;
 
+    const app = standaloneApps.find((a) => releaseRepoFor(a) === repoSlug);
+    if (!app) continue;
     const pr = await fetchPull(repoSlug, item.number);
     if (!pr.merged_at) continue;
-    const app = repoSlug;
-    if (!grouped[app]) continue;
     grouped[app].push(pr);
   }
 
-  // Now process all collected PRs into release note entries
-  const processed = Object.fromEntries(targetApps.map((r) => [r, []]));
+  // Now turn each app's PRs into release note entries (newest first, with
+  // near-duplicate bullets merged and summarized), exactly as backfill does
+  const processed = {};
+  const excluded = [];
+  const merges = [];
+  const migrationStubs = [];
+  const onMerge = (app) => (merge) => {
+    const prs = merge.links.map((l) => `#${l.number}`).join(', ');
+    console.log(`  Merged ${merge.merged.length} similar ${merge.bucket} bullets for ${app} (${prs}): "${merge.text}"`);
+    merges.push({ app, ...merge });
+  };
 
   for (const app of targetApps) {
-    for (const pr of grouped[app]) {
-      const title = pr.title || '';
-      if (EXCLUDE_TITLE_PATTERNS.some((re) => re.test(title))) {
-        console.log(`  Skipping PR #${pr.number}: "${title}" (excluded pattern)`);
-        continue;
-      }
-
-      // Try CodeRabbit structured summary first
-      const codeRabbit = parseCodeRabbitSummary(pr.body);
-      const link = `([#${pr.number}](${pr.html_url}))`;
-
-      if (codeRabbit) {
-        // Each CodeRabbit bullet is already categorized
-        console.log(`  PR #${pr.number} → ${app}: ${codeRabbit.new.length} new, ${codeRabbit.improved.length} improved, ${codeRabbit.fixed.length} fixed, ${codeRabbit.action.length} action`);
-        processed[app].push({ ...codeRabbit, link, mergedAt: pr.merged_at });
-      } else {
-        // Fallback: use cleaned title as a single entry
-        const cleaned = cleanPRTitle(title);
-        let text = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
-        if (!/[.!?]$/.test(text)) text += '.';
-
-        // Categorize from title keywords
-        const bucket =
-          /^fix/i.test(title) || /\bfix(es|ed)?\b/i.test(title) ? 'fixed' :
-          /\bbreaking\b/i.test(title) ? 'action' :
-          /^(refactor|improve|perf|chore|update|bump)/i.test(title) ? 'improved' :
-          'new';
-
-        console.log(`  PR #${pr.number} → ${app}: "${text}" → ${bucket} (no CodeRabbit)`);
-        processed[app].push({
-          new: bucket === 'new' ? [text] : [],
-          improved: bucket === 'improved' ? [text] : [],
-          fixed: bucket === 'fixed' ? [text] : [],
-          action: bucket === 'action' ? [text] : [],
-          link,
-          mergedAt: pr.merged_at,
-        });
+    const result = await buildAppEntries(grouped[app], app, {
+      summarizer,
+      onExclude: ({ number, title, reason }) => {
+        console.log(`  Skipping PR #${number}: "${title}" (${reason === 'title' ? 'excluded pattern' : 'release-note: skip'})`);
+      },
+      onEntry: (entry) => {
+        if (entry.source === 'release-notes' || entry.source === 'coderabbit') {
+          console.log(`  PR #${entry.number} → ${app}: ${entry.new.length} new, ${entry.improved.length} improved, ${entry.fixed.length} fixed, ${entry.action.length} action (from ${entry.source})`);
+        } else {
+          const bucket = BUCKETS.find((b) => entry[b].length > 0);
+          console.log(`  PR #${entry.number} → ${app}: "${entry[bucket][0]}" → ${bucket} (no CodeRabbit, from ${entry.source}; ${entry.bucketReason})`);
+        }
+      },
+      onMerge: onMerge(app),
+    });
+    processed[app] = result.entries;
+    excluded.push(...result.excluded);
+    for (const entry of result.entries) {
+      if (entry.action.length > 0 && config.migrationNotes?.apps.includes(app)) {
+        addMigrationStub(migrationStubs, entry, result.prsByNumber.get(entry.number), date);
       }
     }
   }
 
-  // Sort entries within each app by merge date (newest first)
-  for (const app of targetApps) {
-    processed[app].sort((a, b) => b.mergedAt.localeCompare(a.mergedAt));
-  }
-
-  // Build blocks
-  const today = new Date();
-  const dateLabel = today.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
-
-  const blocks = [];
+  // Build blocks; summaries that still read alike are merged here
+  const updates = [];
   for (const app of targetApps) {
     const entries = processed[app];
     if (entries.length === 0) continue;
-    blocks.push(buildUpdateBlock(app, entries, dateLabel, version));
+    updates.push(buildUpdate(app, entries, date.label, version, { onMerge: onMerge(app) }));
   }
 
-  if (blocks.length === 0) {
+  if (jsonOutput) {
+    process.stdout.write(JSON.stringify({ version, sourceRepo, entries: processed, excluded, merges }, null, 2) + '\n');
+  }
+
+  if (updates.length === 0) {
     console.log('\nNo PRs found — nothing to generate.');
     return;
   }
 
-  const releaseNotesPath = path.join(process.cwd(), 'release-notes.mdx');
-  if (!fs.existsSync(releaseNotesPath)) {
-    throw new Error(`Release notes page not found: ${releaseNotesPath}`);
+  const monthlyChange = planMonthlyFile(updates, date);
+  const changelogChanges = config.changelogs
+    .map((changelog) => ({ changelog, updates: buildChangelogUpdates(changelog, processed, date) }))
+    .filter((c) => c.updates.length > 0)
+    .map((c) => planChangelogFile(c.changelog, c.updates));
+  const changes = [
+    planReleaseNotes(updates),
+    monthlyChange,
+    ...changelogChanges,
+    ...(migrationStubs.length > 0 ? [planMigrationNotes(migrationStubs)] : []),
+    planDocsNav(monthlyChange.filePath, changelogChanges.map((c) => c.filePath)),
+  ];
+  if (config.feeds) changes.push(...planFeeds(changes));
+
+  if (dryRun) {
+    console.log(`\n=== <Update> blocks for ${version} (dry run) ===\n`);
+    console.log(updates.map(serializeUpdate).join('\n\n'));
+    console.log('\n=== Diff (nothing written) ===\n');
+    changes.forEach(printDiff);
+    return;
   }
 
-  prependUpdateToReleaseNotes(releaseNotesPath, blocks);
-  console.log(`\nPrepended ${blocks.length} block(s) for ${version} to release-notes.mdx`);
-
-  // Also write to the monthly file (e.g. release-notes/may-2026.mdx)
-  const monthlyFileName = prependToMonthlyFile(blocks);
-  console.log(`Monthly file: release-notes/${monthlyFileName}`);
+  console.log('');
+  changes.forEach(applyChange);
 }
 
 main().catch((err) => {
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Generates the "Weekly recap" <Update> for one ISO week and puts it at the
+ * top of that week's entries in release-notes.mdx and in each monthly file
+ * (release-notes/<month>-<year>.mdx) that has entries from the week.
+ *
+ * The recap rolls up every dated <Update> of the week by bucket, listing a
+ * bullet shipped by several apps once with all of its PR links. Re-running
+ * for the same week leaves an existing recap alone, so the command is
+ * idempotent; set RECAP_OVERWRITE=true to regenerate it in place.
+ *
+ * Usage:
+ *   RECAP_WEEK=2026-W33 node scripts/generate-weekly-recap.mjs [--dry-run]
+ *
+ * Flags:
+ *   --dry-run  Print the recap and a unified diff of the target files instead
+ *              of writing them.
+ *
+ * Environment:
+ *   RECAP_WEEK  ISO week ("2026-W33") or any date in it ("2026-08-13").
+ *               Defaults to the current week in the config's timeZone.
+ *   RECAP_OVERWRITE=true  Replace an existing recap for the week (e.g. after
+ *               another release that week) instead of skipping it.
+ *   RELEASE_NOTES_CONFIG  Path to a different release-notes.config.json.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseReleaseNotes, serializeReleaseNotes, serializeUpdate } from './lib/release-notes-mdx.mjs';
+import { parseIsoWeek, updatesInWeek, buildWeeklyRecap, upsertWeeklyRecap } from './lib/weekly-recap.mjs';
+import { getReleaseNotesConfig } from './lib/release-notes-config.mjs';
+import { unifiedDiff } from './lib/unified-diff.mjs';
+
+// ---------------------------------------------------------------------------
+// CLI flags and environment
+// ---------------------------------------------------------------------------
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+const config = getReleaseNotesConfig();
+const overwrite = process.env.RECAP_OVERWRITE === 'true';
+
+function currentWeekSpec() {
+  // en-CA formats as YYYY-MM-DD
+  return new Date().toLocaleDateString('en-CA', { timeZone: config.timeZone });
+}
+
+const week = parseIsoWeek(process.env.RECAP_WEEK || currentWeekSpec());
+
+// ---------------------------------------------------------------------------
+// Plan and apply
+// ---------------------------------------------------------------------------
+function releaseNotesFiles() {
+  const files = [path.join(process.cwd(), 'release-notes.mdx')];
+  const monthlyDir = path.join(process.cwd(), 'release-notes');
+  if (fs.existsSync(monthlyDir)) {
+    files.push(...fs.readdirSync(monthlyDir).filter((f) => f.endsWith('.mdx')).sort().map((f) => path.join(monthlyDir, f)));
+  }
+  return files.filter((f) => fs.existsSync(f));
+}
+
+// The week's entries across every page, once per version + repo
+function collectWeekUpdates(docs) {
+  const seen = new Set();
+  const updates = [];
+  for (const doc of docs) {
+    for (const update of updatesInWeek(doc, week)) {
+      const key = `${update.description}\u0000${update.tags.join(',')}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      updates.push(update);
+    }
+  }
+  return updates;
+}
+
+function applyChange(change) {
+  const rel = path.relative(process.cwd(), change.filePath);
+  if (change.after === change.before) {
+    console.log(`No changes to ${rel}.`);
+    return;
+  }
+  fs.writeFileSync(change.filePath, change.after);
+  console.log(`Updated ${rel}.`);
+}
+
+function printDiff(change) {
+  const rel = path.relative(process.cwd(), change.filePath);
+  const diff = unifiedDiff(change.before, change.after, { fromFile: `a/${rel}`, toFile: `b/${rel}` });
+  console.log(diff || `(no changes to ${rel})\n`);
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+function main() {
+  const pages = releaseNotesFiles().map((filePath) => {
+    const before = fs.readFileSync(filePath, 'utf8');
+    return { filePath, before, doc: parseReleaseNotes(before) };
+  });
+
+  const weekUpdates = collectWeekUpdates(pages.map((p) => p.doc));
+  const weekName = `${week.year}-W${String(week.week).padStart(2, '0')}`;
+  if (weekUpdates.length === 0) {
+    console.log(`No release entries in ${weekName} — nothing to recap.`);
+    return;
+  }
+
+  const recap = buildWeeklyRecap(weekUpdates, week, { threshold: config.bulletSimilarity });
+  console.log(`Recapping ${weekUpdates.length} entries from ${weekName} (${recap.label}).`);
+
+  const changes = [];
+  for (const page of pages) {
+    const result = upsertWeeklyRecap(page.doc, recap, week, { overwrite });
+    if (!result) continue;
+    const rel = path.relative(process.cwd(), page.filePath);
+    if (result === 'skipped') {
+      console.log(`  Skipping ${rel} — it already has a recap for ${recap.label} (set RECAP_OVERWRITE=true to replace it).`);
+      continue;
+    }
+    console.log(`  ${rel}: recap ${result}.`);
+    changes.push({ filePath: page.filePath, before: page.before, after: serializeReleaseNotes(page.doc) });
+  }
+
+  if (dryRun) {
+    console.log(`\n=== Weekly recap for ${weekName} (dry run) ===\n`);
+    console.log(serializeUpdate(recap));
+    console.log('\n=== Diff (nothing written) ===\n');
+    changes.forEach(printDiff);
+    return;
+  }
+
+  console.log('');
+  changes.forEach(applyChange);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err);
+  process.exit(1);
+}
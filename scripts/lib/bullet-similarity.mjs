@@ -0,0 +1,82 @@
+/**
+ * Near-duplicate detection for release-note bullets (no dependencies).
+ * When one feature spans several PRs, CodeRabbit tends to describe it the
+ * same way in each; these helpers fold such bullets into one that cites
+ * every PR.
+ *
+ *   normalizeBulletText(text)        → lowercase text without markdown, punctuation or stopwords
+ *   bulletSimilarity(a, b)           → 0..1 (Dice coefficient over normalized words)
+ *   mergeSimilarBullets(bullets, { threshold })
+ *                                    → { bullets, merges: [{ text, links, merged: [text] }] }
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+// Bullets at least this similar are merged
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+// Words that carry no meaning for "is this the same change?"
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'from',
+  'is', 'are', 'was', 'be', 'now', 'so', 'that', 'this', 'its', 'it',
+]);
+
+// ---------------------------------------------------------------------------
+// Similarity
+// ---------------------------------------------------------------------------
+export function normalizeBulletText(text) {
+  return text
+    .toLowerCase()
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // markdown links → their text
+    .replace(/[*_`]/g, '')
+    .replace(/[^\p{L}\p{N}/-]+/gu, ' ')
+    .split(' ')
+    .filter((w) => w && !STOPWORDS.has(w))
+    .join(' ');
+}
+
+function words(text) {
+  return new Set(normalizeBulletText(text).split(' ').filter(Boolean));
+}
+
+export function bulletSimilarity(a, b) {
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 && wb.size === 0) return 1;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return (2 * shared) / (wa.size + wb.size);
+}
+
+// ---------------------------------------------------------------------------
+// Merging
+// ---------------------------------------------------------------------------
+/**
+ * Folds bullets ({ text, links }) that are at least `threshold` similar to
+ * any bullet already in a group into that group. Groups keep the position of
+ * their first bullet and the wording of their longest one, and cite every
+ * distinct link. `merges` lists each group that absorbed more than one bullet.
+ */
+export function mergeSimilarBullets(bullets, { threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+  const groups = [];
+  for (const bullet of bullets) {
+    const group = groups.find((g) => g.texts.some((t) => bulletSimilarity(t, bullet.text) >= threshold));
+    if (!group) {
+      groups.push({ text: bullet.text, links: [...bullet.links], texts: [bullet.text] });
+      continue;
+    }
+    group.texts.push(bullet.text);
+    if (bullet.text.length > group.text.length) group.text = bullet.text;
+    for (const link of bullet.links) {
+      if (!group.links.some((l) => l.url === link.url)) group.links.push(link);
+    }
+  }
+
+  return {
+    bullets: groups.map((g) => ({ text: g.text, links: g.links })),
+    merges: groups
+      .filter((g) => g.texts.length > 1)
+      .map((g) => ({ text: g.text, links: g.links, merged: g.texts })),
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * docs.json navigation helpers for release-notes pages.
+ *
+ *   findNavGroup(config, name)           → the { group, pages } object, or throws
+ *   addMonthlyReleasePage(config, page)  → inserts "release-notes/<month>-<year>"
+ *                                          newest-first; returns true if added
+ *   addReleaseNotesPage(config, page)    → inserts any other page (e.g. a partner
+ *                                          changelog) above the monthly pages
+ *   serializeDocsJson(config)            → text in the repo's formatting
+ */
+
+export const RELEASE_NOTES_GROUP = 'Release notes';
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+// "release-notes/may-2026" → 2026 * 12 + 4, or null for non-monthly pages
+export function monthlyPageKey(page) {
+  const m = typeof page === 'string' && page.match(/^release-notes\/([a-z]+)-(\d{4})$/);
+  if (!m || !MONTHS.includes(m[1])) return null;
+  return Number(m[2]) * 12 + MONTHS.indexOf(m[1]);
+}
+
+export function findNavGroup(config, name) {
+  for (const tab of config.navigation?.tabs || []) {
+    for (const group of tab.groups || []) {
+      if (group.group === name) return group;
+    }
+  }
+  throw new Error(`Could not find the "${name}" navigation group in docs.json`);
+}
+
+export function addMonthlyReleasePage(config, page) {
+  const key = monthlyPageKey(page);
+  if (key === null) throw new Error(`Not a monthly release-notes page: ${page}`);
+
+  const group = findNavGroup(config, RELEASE_NOTES_GROUP);
+  if (group.pages.includes(page)) return false;
+
+  // Monthly pages are newest-first; insert before the first older month,
+  // leaving any non-monthly pages (the main release-notes page) in place
+  const idx = group.pages.findIndex((p) => {
+    const k = monthlyPageKey(p);
+    return k !== null && k < key;
+  });
+  if (idx === -1) group.pages.push(page);
+  else group.pages.splice(idx, 0, page);
+  return true;
+}
+
+export function addReleaseNotesPage(config, page) {
+  const group = findNavGroup(config, RELEASE_NOTES_GROUP);
+  if (group.pages.includes(page)) return false;
+
+  const idx = group.pages.findIndex((p) => monthlyPageKey(p) !== null);
+  if (idx === -1) group.pages.push(page);
+  else group.pages.splice(idx, 0, page);
+  return true;
+}
+
+export function serializeDocsJson(config) {
+  return JSON.stringify(config, null, 2) + '\n';
+}
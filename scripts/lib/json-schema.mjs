@@ -0,0 +1,127 @@
+/**
+ * Small JSON Schema validator for the repo's own config files and the
+ * OpenAPI examples (no dependencies). Covers the subset those schemas use:
+ *
+ *   type, enum, const, minimum, pattern, minLength, minItems, uniqueItems, items,
+ *   properties, required, additionalProperties, propertyNames, anyOf,
+ *   OpenAPI's nullable, and local $ref ("#/$defs/name").
+ *
+ *   validateSchema(value, schema, { root }) → [{ path, message }]  (empty when valid);
+ *                                   $refs resolve against `root`, default `schema`
+ *   formatSchemaErrors(errors)    → one "path: message" line per error
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) throw new Error(`Unresolved $ref: ${ref}`);
+    return node[key];
+  }, root);
+}
+
+function validateNode(value, schema, at, root, errors) {
+  if (schema === true) return;
+  if (schema === false) {
+    errors.push({ path: at, message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), at, root, errors);
+    return;
+  }
+  if (value === null && schema.nullable) return;
+
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some((s) => {
+      const sub = [];
+      validateNode(value, s, at, root, sub);
+      return sub.length === 0;
+    });
+    if (!ok) errors.push({ path: at, message: schema.errorMessage || 'does not match any allowed shape' });
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path: at, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} character(s)` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: at, message: schema.errorMessage || `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      for (const item of value) {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) errors.push({ path: at, message: `has duplicate item ${key}` });
+        seen.add(key);
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${at}[${i}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: at, message: `is missing required property "${key}"` });
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = at === '$' ? `$.${key}` : `${at}.${key}`;
+      if (schema.propertyNames) {
+        const sub = [];
+        validateNode(key, schema.propertyNames, childPath, root, sub);
+        if (sub.length > 0) errors.push({ path: childPath, message: `invalid key: ${sub[0].message}` });
+      }
+      if (key in props) validateNode(child, props[key], childPath, root, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: childPath, message: 'is not a known property' });
+      else if (typeof schema.additionalProperties === 'object') validateNode(child, schema.additionalProperties, childPath, root, errors);
+    }
+  }
+}
+
+export function validateSchema(value, schema, { root = schema } = {}) {
+  const errors = [];
+  validateNode(value, schema, '$', root, errors);
+  return errors;
+}
+
+export function formatSchemaErrors(errors) {
+  return errors.map((e) => `  ${e.path}: ${e.message}`).join('\n');
+}
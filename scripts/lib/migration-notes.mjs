@@ -0,0 +1,139 @@
+/**
+ * Migration stubs for breaking ("Action required") release entries, kept in
+ * the "Migration notes" section of guides/changelog.mdx and linked from the
+ * release bullet.
+ *
+ *   extractEndpoints(texts)       → ['GET /v1/deals/', ...] mentioned in the texts
+ *   extractBeforeAfter(body)      → { before, after } fenced snippets ({ lang, code }) or null
+ *   extractDeadline(body)         → "Deadline: ..." value from the PR body, or null
+ *   migrationAnchor(title, number) → heading anchor, e.g. "deal-export-401"
+ *   buildMigrationStub({ title, number, url, version, dateLabel, items, body })
+ *                                 → { anchor, heading, markdown }
+ *   migrationLinkText(page, anchor) → "See [migration notes](/guides/changelog#deal-export-401)."
+ *   insertMigrationStubs(text, stubs, heading)
+ *                                 → { text, added, skipped } — newest first under "## <heading>";
+ *                                   stubs whose heading is already there are skipped
+ *
+ * A PR body opts into snippets and a deadline with:
+ *
+ *   Deadline: 2026-12-01
+ *
+ *   **Before**
+ *   ```http
+ *   GET /v1/deals/?stage=Closed%20Won
+ *   ```
+ *
+ *   **After**
+ *   ```http
+ *   GET /v1/deals/?stage=closedwon
+ *   ```
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+const ENDPOINT_RE = /\b(GET|POST|PUT|PATCH|DELETE)\s+`?(\/[\w\-/{}.:]*)/g;
+
+// "Before" / "After" as a heading, bold line or "Before:" label, then a fenced block
+const SNIPPET_RE = /^(?:#{2,6}\s*|\*\*)?(before|after)(?:\*\*)?:?(?:\*\*)?\s*\n+```([\w-]*)\n([\s\S]*?)\n```/gim;
+
+const DEADLINE_RE = /^(?:\*\*)?(?:migration\s+)?deadline:?(?:\*\*)?:?\s*(.+)$/im;
+
+// ---------------------------------------------------------------------------
+// Extraction from the PR
+// ---------------------------------------------------------------------------
+export function extractEndpoints(texts) {
+  const endpoints = [];
+  for (const text of texts) {
+    for (const m of text.matchAll(ENDPOINT_RE)) {
+      const endpoint = `${m[1]} ${m[2]}`;
+      if (!endpoints.includes(endpoint)) endpoints.push(endpoint);
+    }
+  }
+  return endpoints;
+}
+
+export function extractBeforeAfter(body) {
+  const snippets = { before: null, after: null };
+  for (const m of (body || '').replace(/\r\n/g, '\n').matchAll(SNIPPET_RE)) {
+    const which = m[1].toLowerCase();
+    if (!snippets[which]) snippets[which] = { lang: m[2], code: m[3] };
+  }
+  return snippets;
+}
+
+export function extractDeadline(body) {
+  const m = (body || '').match(DEADLINE_RE);
+  if (!m) return null;
+  const value = m[1].trim();
+  // ISO dates read better spelled out, like the release labels
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T12:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  }
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+// Same shape as the docs site's heading anchors: lowercase words joined by hyphens
+export function migrationAnchor(title, number) {
+  return `${title} ${number}`
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+export function migrationLinkText(page, anchor) {
+  return `See [migration notes](${page}#${anchor}).`;
+}
+
+function fence({ lang, code }) {
+  return ['```' + lang, code, '```'];
+}
+
+/**
+ * Builds one "### <title> (#<number>)" stub. The stub is published as is, so
+ * a deadline, endpoints or snippets the PR does not provide are left out
+ * rather than shown as placeholders.
+ */
+export function buildMigrationStub({ title, number, url, version, dateLabel, items, body }) {
+  const heading = `${title} (#${number})`;
+  const { before, after } = extractBeforeAfter(body);
+  const endpoints = extractEndpoints([...items, before?.code || '', after?.code || '']);
+
+  const deadline = extractDeadline(body);
+
+  const lines = [
+    `### ${heading}`,
+    '',
+    `Released in \`${version}\` on ${dateLabel} ([#${number}](${url})).`,
+    '',
+  ];
+  if (deadline) lines.push(`**Deadline:** ${deadline}`, '');
+  if (endpoints.length > 0) lines.push(`**Affected endpoints:** ${endpoints.map((e) => `\`${e}\``).join(', ')}`, '');
+  lines.push(...items.map((item) => `- ${item}`), '');
+  if (before) lines.push('**Before**', '', ...fence(before), '');
+  if (after) lines.push('**After**', '', ...fence(after), '');
+
+  return { anchor: migrationAnchor(title, number), heading, markdown: lines.join('\n') };
+}
+
+// ---------------------------------------------------------------------------
+// Inserting into the guide
+// ---------------------------------------------------------------------------
+export function insertMigrationStubs(text, stubs, heading) {
+  const headingRe = new RegExp(`^## ${heading.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\n\\n`, 'm');
+  const m = text.match(headingRe);
+  if (!m) throw new Error(`Could not find the "## ${heading}" section`);
+
+  const existing = new Set([...text.matchAll(/^### (.+)$/gm)].map((h) => h[1].trim()));
+  const added = stubs.filter((s) => !existing.has(s.heading));
+  const skipped = stubs.filter((s) => existing.has(s.heading));
+  if (added.length === 0) return { text, added, skipped };
+
+  const at = m.index + m[0].length;
+  const block = added.map((s) => s.markdown + '\n').join('');
+  return { text: text.slice(0, at) + block + text.slice(at), added, skipped };
+}
@@ -0,0 +1,121 @@
+/**
+ * Moves schemas that several operations repeat inline into
+ * components/schemas (no dependencies).
+ *
+ *   dedupeSchemas(spec)  → number of components/schemas entries added;
+ *                          rewrites `spec` in place
+ *   componentName(operation, method, path, kind)
+ *                        → "PostV1ContactsRemoveFromDealRequest": the operationId
+ *                          (or method and path) in PascalCase plus the kind
+ *   shapeName(schema, kind)
+ *                        → "DealIdRequest": the property names (of the items,
+ *                          plus "List", for an array) in PascalCase plus the kind
+ *
+ * Only whole request body and response schemas are compared, key order
+ * ignored. One is shared once it is used twice, or when an existing component
+ * already matches it. A component that one operation uses (say as both its
+ * request and its response) is named after that operation; one that several
+ * operations share is named after its shape, so no endpoint borrows another's
+ * name. The kind is "Request" or "Response", or "Body" when it is used as
+ * both. When two shapes get the same name, the later one is prefixed with the
+ * resource all its operations share ("PropertyStatusDataResponse"), or
+ * numbered if they share none. Schemas that are only a type, like the bare { type: 'object' } of an
+ * undocumented body, stay inline.
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function isWorthSharing(schema) {
+  return !schema.$ref && (schema.properties !== undefined || schema.items !== undefined);
+}
+
+function pascalCase(text) {
+  return text.split(/[^A-Za-z0-9]+/).filter(Boolean).map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+export function componentName(operation, method, pathStr, kind) {
+  return `${pascalCase(operation.operationId || `${method} ${pathStr}`)}${kind}`;
+}
+
+export function shapeName(schema, kind) {
+  if (schema.items) return `${shapeName(schema.items, 'List')}${kind}`;
+  return `${pascalCase(Object.keys(schema.properties || {}).join(' ') || schema.type || '')}${kind}`;
+}
+
+// Every { media, kind, operation, method, pathStr } whose schema could be
+// shared, in path order
+function* inlineSchemas(spec) {
+  for (const [pathStr, methods] of Object.entries(spec.paths || {})) {
+    for (const [method, operation] of Object.entries(methods)) {
+      for (const media of Object.values(operation.requestBody?.content || {})) {
+        if (media.schema) yield { media, kind: 'Request', operation, method, pathStr };
+      }
+      for (const response of Object.values(operation.responses || {})) {
+        for (const media of Object.values(response.content || {})) {
+          if (media.schema) yield { media, kind: 'Response', operation, method, pathStr };
+        }
+      }
+    }
+  }
+}
+
+// "/v1/property/admin/migrate-leads" → "property"
+function resource(pathStr) {
+  return pathStr.split('/').filter((segment) => segment && !/^v\d+$/.test(segment))[0] || '';
+}
+
+// Names to try, best first: the operation's own name when only one operation
+// uses the schema, else its shape, then its shape prefixed with the resource
+// every use shares
+function candidateNames(uses) {
+  const [first] = uses;
+  const kind = uses.every((use) => use.kind === first.kind) ? first.kind : 'Body';
+  if (uses.every((use) => use.operation === first.operation)) return [componentName(first.operation, first.method, first.pathStr, kind)];
+  const shape = shapeName(first.media.schema, kind);
+  const shared = resource(first.pathStr);
+  return uses.every((use) => resource(use.pathStr) === shared) && shared ? [shape, `${pascalCase(shared)}${shape}`] : [shape];
+}
+
+// ---------------------------------------------------------------------------
+// Dedupe
+// ---------------------------------------------------------------------------
+export function dedupeSchemas(spec) {
+  const existing = spec.components?.schemas || {};
+  const byShape = new Map(Object.entries(existing).map(([name, schema]) => [canonical(schema), { name, uses: [] }]));
+
+  for (const entry of inlineSchemas(spec)) {
+    if (!isWorthSharing(entry.media.schema)) continue;
+    const key = canonical(entry.media.schema);
+    if (!byShape.has(key)) byShape.set(key, { name: null, uses: [] });
+    byShape.get(key).uses.push(entry);
+  }
+
+  const taken = new Set(Object.keys(existing));
+  const added = {};
+  for (const shared of byShape.values()) {
+    if (shared.uses.length === 0 || (!shared.name && shared.uses.length < 2)) continue;
+    if (!shared.name) {
+      const candidates = candidateNames(shared.uses);
+      let name = candidates.find((candidate) => !taken.has(candidate)) || candidates[0];
+      for (let n = 2; taken.has(name); n++) name = `${candidates[0]}${n}`;
+      taken.add(name);
+      shared.name = name;
+      added[name] = shared.uses[0].media.schema;
+    }
+    for (const { media } of shared.uses) media.schema = { $ref: `#/components/schemas/${shared.name}` };
+  }
+
+  if (Object.keys(added).length > 0) {
+    spec.components = { ...spec.components, schemas: { ...existing, ...added } };
+  }
+  return Object.keys(added).length;
+}
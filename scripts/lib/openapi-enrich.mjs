@@ -0,0 +1,531 @@
+/**
+ * Enriches the upstream OpenAPI spec with the hand-written overlays in
+ * scripts/openapi-enrichments*.json (no dependencies).
+ *
+ *   loadEnrichments(scriptsDir) → { tags, auth, paths, sources, files: [{ file, count }] }
+ *                                 openapi-enrichments.json plus every
+ *                                 openapi-enrichments-paths*.json and
+ *                                 -responses*.json, merged in file-name order;
+ *                                 sources maps each operation key to its files.
+ *                                 Throws when a file does not match
+ *                                 scripts/openapi-enrichments.schema.json.
+ *   enrichSpec(base, enrichments)
+ *                               → { spec, enrichedCount, inferredSchemas, exampleMismatches,
+ *                                   sharedSchemas, unusedAuthPaths, unknownOperations };
+ *                                 overlays for operations the spec does not have are
+ *                                 skipped and their keys listed in unknownOperations.
+ *                                 Examples are checked after the overlays (see
+ *                                 openapi-examples.mjs), then repeated schemas move
+ *                                 to components (see openapi-components.mjs).
+ *
+ * The standard error responses (400, 401, 403, 404, 422, 500) are
+ * components/responses entries with an ErrorResponse schema; operations
+ * only hold a $ref to them.
+ *
+ * Every operation gets a `security` array: an overlay's "auth" wins, then
+ * the spec's own `security`, then the first auth rule in
+ * openapi-enrichments.json whose path glob matches, then the rules' default.
+ * Public operations ([]) get no 401/403, and the 401 of any other operation
+ * names the credential its scheme asks for. "apiKey" uses the apiKey scheme
+ * the base spec declares, and fails the run when there is none. Rule path
+ * globs that match no path come back as unusedAuthPaths.
+ *   endpointBadge(method, path) → "`POST /v2/deals/`", the first line of every description
+ *   isEnrichedSpec(spec)        → true for enrichSpec output, which carries
+ *                                 "x-generated-by": "scripts/enrich-openapi.mjs";
+ *                                 an upstream export never does
+ *
+ * enrichSpec never modifies `base`, and running it on its own output gives the
+ * same spec back: every step either overwrites with the same overlay value or
+ * only fills in what is missing.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { validateSchema, formatSchemaErrors } from './json-schema.mjs';
+import { checkExamples } from './openapi-examples.mjs';
+import { dedupeSchemas } from './openapi-components.mjs';
+import { matchesGlob } from './path-glob.mjs';
+
+// ---------------------------------------------------------------------------
+// Overlays
+// ---------------------------------------------------------------------------
+const MAIN_FILE = 'openapi-enrichments.json';
+const SCHEMA_FILE = 'openapi-enrichments.schema.json';
+
+function isOverlayFile(file) {
+  return (file.startsWith('openapi-enrichments-paths') || file.startsWith('openapi-enrichments-responses')) && file.endsWith('.json');
+}
+
+export function loadEnrichments(scriptsDir) {
+  const schema = JSON.parse(fs.readFileSync(path.join(scriptsDir, SCHEMA_FILE), 'utf8'));
+  const invalid = [];
+  const read = (file, fileSchema) => {
+    const data = JSON.parse(fs.readFileSync(path.join(scriptsDir, file), 'utf8'));
+    const errors = validateSchema(data, fileSchema);
+    if (errors.length > 0) invalid.push(`${file}:\n${formatSchemaErrors(errors)}`);
+    return data;
+  };
+
+  // The main file has tags on top of the operations, checked against $defs/mainFile
+  const main = read(MAIN_FILE, { ...schema, $ref: '#/$defs/mainFile' });
+  const paths = { ...main.paths };
+  const sources = Object.fromEntries(Object.keys(paths).map((key) => [key, [MAIN_FILE]]));
+  const files = [];
+
+  for (const file of fs.readdirSync(scriptsDir).filter(isOverlayFile).sort()) {
+    const data = read(file, schema);
+    for (const [key, val] of Object.entries(data)) {
+      (sources[key] ||= []).push(file);
+      if (!paths[key]) {
+        paths[key] = val;
+        continue;
+      }
+      // Later files only overwrite the fields they actually define
+      paths[key] = { ...paths[key], ...val };
+    }
+    files.push({ file, count: Object.keys(data).length });
+  }
+
+  if (invalid.length > 0) {
+    throw new Error(`Invalid OpenAPI enrichments (see ${SCHEMA_FILE}):\n${invalid.join('\n')}`);
+  }
+  return { tags: main.tags || {}, auth: main.auth || {}, paths, sources, files };
+}
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+// components/schemas every spec gets. ErrorResponse is shared by the standard
+// error responses, as described in guides/error-handling.mdx; MessageResponse is the
+// shape inferred from the many { status, message } examples, so they share it
+// under that name.
+const SHARED_SCHEMAS = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['status', 'message'],
+    properties: {
+      status: { type: 'string', enum: ['error'] },
+      message: { type: 'string' },
+      errors: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } },
+      code: { type: 'integer' },
+    },
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string' },
+      message: { type: 'string' },
+    },
+  },
+  MessageResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      message: { type: 'string' },
+    },
+  },
+};
+
+// Status → components/responses entry that operations reference
+const ERROR_RESPONSES = {
+  '400': {
+    name: 'BadRequest',
+    description: 'Bad request — invalid or missing parameters.',
+    example: { status: 'error', message: 'Validation failed.', errors: [{ field: 'email', message: 'Email is required.' }] }
+  },
+  '401': {
+    name: 'Unauthorized',
+    description: 'Unauthorized — missing or invalid Bearer token.',
+    example: { status: 'error', message: 'Authentication required. Provide a valid Firebase JWT in the Authorization header.' }
+  },
+  '403': {
+    name: 'Forbidden',
+    description: 'Forbidden — you do not have permission to access this resource.',
+    example: { status: 'error', message: 'Insufficient permissions.' }
+  },
+  '404': {
+    name: 'NotFound',
+    description: 'Not found — the requested resource does not exist.',
+    example: { status: 'error', message: 'Resource not found.' }
+  },
+  '422': {
+    name: 'UnprocessableEntity',
+    description: 'Unprocessable entity — request was understood but contains semantic errors.',
+    example: { status: 'error', message: 'Unprocessable entity.', errors: [{ field: 'dealId', message: 'Deal is already closed.' }] }
+  },
+  '500': {
+    name: 'InternalServerError',
+    description: 'Internal server error.',
+    example: { status: 'error', message: 'An unexpected error occurred. Please try again later.' }
+  }
+};
+
+// "bearer" operations need the Firebase JWT scheme the upstream spec already
+// declares. There is no such default for "apiKey": its header name has to
+// come from an apiKey scheme in the base spec.
+const BEARER_SCHEME = { name: 'BearerAuth', scheme: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase JWT' } };
+
+const DEFAULT_AUTH = 'bearer';
+
+// Keywords in path/summary that indicate a create operation (should be 201)
+const CREATE_PATTERNS = [/\/create/, /\/register/, /\/import/];
+
+const METHOD_LABELS = { get: 'Get', post: 'Create', patch: 'Update', put: 'Update', delete: 'Delete' };
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function* operations(spec) {
+  for (const [pathStr, methods] of Object.entries(spec.paths || {})) {
+    for (const [method, operation] of Object.entries(methods)) {
+      yield [pathStr, method, operation];
+    }
+  }
+}
+
+function capitalize(text) {
+  return text.replace(/^(.)/, (_, c) => c.toUpperCase());
+}
+
+function securityFor(spec, auth) {
+  if (auth === 'public') return [];
+  if (auth === 'bearer') return [{ [BEARER_SCHEME.name]: [] }];
+  const schemes = spec.components?.securitySchemes || {};
+  const apiKey = Object.keys(schemes).find((name) => schemes[name].type === 'apiKey');
+  if (!apiKey) throw new Error('"auth": "apiKey" needs an apiKey scheme in the base spec\'s components.securitySchemes, and it declares none');
+  return [{ [apiKey]: [] }];
+}
+
+// "API key in the `X-Partner-Key` header", "Bearer token", ...
+function credentialFor(scheme) {
+  if (scheme.type === 'apiKey') return `API key in the \`${scheme.name}\` ${scheme.in}`;
+  if (scheme.type === 'http') return `${capitalize(scheme.scheme)} token`;
+  return 'credentials';
+}
+
+// The 401 an operation references names the credential its security asks
+// for: the standard Unauthorized for BearerAuth, else one per scheme
+function unauthorizedFor(spec, operation) {
+  const [name] = Object.keys(operation.security[0] || {});
+  const scheme = spec.components?.securitySchemes?.[name];
+  if (!scheme || name === BEARER_SCHEME.name) return ERROR_RESPONSES['401'];
+  const credential = credentialFor(scheme);
+  return {
+    name: `${name}Unauthorized`,
+    description: `Unauthorized — missing or invalid ${credential}.`,
+    example: { status: 'error', message: `Authentication required. Provide a valid ${credential.replace(/`/g, '')}.` },
+  };
+}
+
+function isUnauthorizedRef(response) {
+  return /^#\/components\/responses\/\w*Unauthorized$/.test(response.$ref || '');
+}
+
+function errorResponse({ description, example }) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }, example: structuredClone(example) } },
+  };
+}
+
+export function endpointBadge(method, pathStr) {
+  return `\`${method.toUpperCase()} ${pathStr}\``;
+}
+
+function isCreate(pathStr, method, operation) {
+  return method === 'post' && (
+    CREATE_PATTERNS.some((p) => p.test(pathStr)) ||
+    (operation.summary || '').toLowerCase().includes('create') ||
+    // POST to a collection root (e.g. POST /v1/contacts/) that isn't search/webhook
+    (pathStr.endsWith('/') && !pathStr.includes('search') && !pathStr.includes('webhook'))
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Steps
+// ---------------------------------------------------------------------------
+function enrichTags(spec, tags) {
+  if (Object.keys(tags).length === 0) return;
+  if (!spec.tags) spec.tags = [];
+
+  const existingTags = new Map(spec.tags.map((t) => [t.name, t]));
+  for (const [tagName, tagInfo] of Object.entries(tags)) {
+    if (existingTags.has(tagName)) {
+      Object.assign(existingTags.get(tagName), tagInfo);
+    } else {
+      spec.tags.push({ name: tagName, ...tagInfo });
+    }
+  }
+
+  // Every tag used by an operation appears in spec.tags
+  const specTagNames = new Set(spec.tags.map((t) => t.name));
+  for (const [, , op] of operations(spec)) {
+    for (const t of op.tags || []) {
+      if (specTagNames.has(t)) continue;
+      specTagNames.add(t);
+      spec.tags.push({ name: t });
+    }
+  }
+}
+
+// Summaries that are just the route ("/v2/calendars/{id}") become sidebar
+// labels like "Update Calendars". This runs before anything reads the
+// summary, so a first run and a re-run see the same label.
+function cleanSummaries(spec) {
+  for (const [, method, operation] of operations(spec)) {
+    const summary = operation.summary || '';
+    if (!/(?:^|\/)v[12]\//.test(summary)) continue;
+    const cleaned = summary
+      .replace(/^\/?(v[12]\/)?/, '')     // strip leading /v2/
+      .replace(/\/\{[^}]+\}/g, '')       // remove path params like /{id}
+      .replace(/\//g, ' ')               // slashes to spaces
+      .replace(/-/g, ' ')                // hyphens to spaces
+      .replace(/\s+/g, ' ')              // collapse whitespace
+      .trim();
+    const verb = METHOD_LABELS[method] || method.toUpperCase();
+    const noun = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+    operation.summary = `${verb} ${noun}`.replace(/\s+/g, ' ').trim();
+  }
+}
+
+function applyResponseOverlay(pathStr, method, operation, responses) {
+  if (!operation.responses) operation.responses = {};
+  for (const [status, responseOverlay] of Object.entries(responses)) {
+    // Creates are documented as "200" in the overlays but published as 201;
+    // once the 201 exists (an already-enriched spec), the overlay lands there
+    const toCreated = status === '200' && !operation.responses['200'] && operation.responses['201'] && isCreate(pathStr, method, operation);
+    const key = toCreated ? '201' : status;
+    if (!operation.responses[key]) operation.responses[key] = {};
+    const resp = operation.responses[key];
+
+    if (responseOverlay.description) {
+      resp.description = toCreated ? capitalize(responseOverlay.description) : responseOverlay.description;
+    }
+    if (responseOverlay.example) {
+      if (!resp.content) resp.content = { 'application/json': {} };
+      const jsonContent = resp.content['application/json'] || (resp.content['application/json'] = {});
+      jsonContent.example = responseOverlay.example;
+    }
+  }
+}
+
+function applyPathOverlay(spec, pathStr, method, operation, overlay) {
+  if (overlay.summary) operation.summary = overlay.summary;
+  if (overlay.description) operation.description = overlay.description;
+  if (overlay.auth) operation.security = securityFor(spec, overlay.auth);
+
+  // Parameter descriptions, for both parameters and request body properties
+  if (overlay.parameters) {
+    for (const param of operation.parameters || []) {
+      if (overlay.parameters[param.name]) param.description = overlay.parameters[param.name];
+    }
+    const schema = operation.requestBody?.content?.['application/json']?.schema;
+    if (schema?.properties) {
+      for (const [propName, desc] of Object.entries(overlay.parameters)) {
+        if (schema.properties[propName] && typeof desc === 'string') {
+          schema.properties[propName].description = desc;
+        }
+      }
+    }
+  }
+
+  if (overlay.requestExample) {
+    // Per-property examples, where the schema has none
+    const schema = operation.requestBody?.content?.['application/json']?.schema;
+    if (schema?.properties) {
+      for (const [propName, exValue] of Object.entries(overlay.requestExample)) {
+        if (schema.properties[propName] && schema.properties[propName].example === undefined) {
+          schema.properties[propName].example = exValue;
+        }
+      }
+    }
+
+    // The full request body example
+    if (!operation.requestBody) {
+      operation.requestBody = { required: true, content: { 'application/json': { schema: { type: 'object' } } } };
+    }
+    const jsonContent = operation.requestBody.content?.['application/json'] || {};
+    jsonContent.example = overlay.requestExample;
+    if (operation.requestBody.content) {
+      operation.requestBody.content['application/json'] = jsonContent;
+    }
+  }
+
+  if (overlay.responses) applyResponseOverlay(pathStr, method, operation, overlay.responses);
+}
+
+// "POST /v2/deals/" → ['post', '/v2/deals/']
+function parseOperationKey(key) {
+  const spaceIdx = key.indexOf(' ');
+  return [key.slice(0, spaceIdx).toLowerCase(), key.slice(spaceIdx + 1)];
+}
+
+// An overlay for an operation the spec does not have is a typo or an
+// endpoint upstream dropped. It is kept for when the endpoint comes back,
+// and reported instead of applied.
+function unknownOperations(spec, paths) {
+  return Object.keys(paths).filter((key) => {
+    const [method, pathStr] = parseOperationKey(key);
+    return !spec.paths?.[pathStr]?.[method];
+  });
+}
+
+function enrichPaths(spec, paths, unknown) {
+  let count = 0;
+  for (const [key, overlay] of Object.entries(paths)) {
+    if (unknown.includes(key)) continue;
+    const [method, pathStr] = parseOperationKey(key);
+    applyPathOverlay(spec, pathStr, method, spec.paths[pathStr][method], overlay);
+    count++;
+  }
+  return count;
+}
+
+// Parses patterns like "'A', 'B', 'C'." or "Filter: 'A', 'B', or 'C'." from
+// request body property descriptions. Properties that already have an enum
+// keep it.
+function injectEnums(spec) {
+  for (const [, , operation] of operations(spec)) {
+    const schema = operation.requestBody?.content?.['application/json']?.schema;
+    if (!schema?.properties) continue;
+    for (const prop of Object.values(schema.properties)) {
+      if (prop.enum || !prop.description || prop.type !== 'string') continue;
+      const inlineMatch = prop.description.match(/'([^']+)'/g);
+      if (inlineMatch && inlineMatch.length >= 2 && inlineMatch.length <= 8) {
+        prop.enum = inlineMatch.map((m) => m.replace(/'/g, ''));
+      }
+    }
+  }
+}
+
+function normalizeResponses(spec) {
+  for (const [pathStr, method, operation] of operations(spec)) {
+    if (!operation.responses) operation.responses = {};
+    const responses = operation.responses;
+
+    // POST endpoints that create resources answer 201, not 200. A 200 left
+    // next to an existing 201 is folded into it.
+    if (isCreate(pathStr, method, operation) && responses['200']) {
+      const ok = responses['200'];
+      const created = responses['201'] || {};
+      responses['201'] = {
+        ...created,
+        ...ok,
+        description: capitalize(ok.description || created.description || 'Created.'),
+        ...(created.content || ok.content ? { content: mergeContent(created.content, ok.content) } : {}),
+      };
+      delete responses['200'];
+    }
+
+    // DELETE endpoints — add 204 if not present
+    if (method === 'delete' && !responses['204']) {
+      responses['204'] = { description: 'No content — resource deleted successfully.' };
+    }
+
+    // Standard error responses, where missing
+    const needsAuth = operation.security.length > 0;
+    for (const [code, fallback] of Object.entries(ERROR_RESPONSES)) {
+      const standard = code === '401' && needsAuth ? unauthorizedFor(spec, operation) : fallback;
+      const ref = { $ref: `#/components/responses/${standard.name}` };
+      const authError = code === '401' || code === '403';
+      const isStandard = (response) => response.$ref === ref.$ref || (code === '401' && isUnauthorizedRef(response));
+      if (responses[code]) {
+        // Public endpoints lose the standard 401/403; their own ones stay
+        if (authError && !needsAuth && isStandard(responses[code])) delete responses[code];
+        // A standard 401 always names this operation's credential
+        else if (code === '401' && needsAuth && isStandard(responses[code])) {
+          responses[code] = ref;
+          spec.components.responses[standard.name] = errorResponse(standard);
+        }
+        continue;
+      }
+      // Skip 401/403 for unauthenticated endpoints
+      if (authError && !needsAuth) continue;
+      // Skip 404 for list/search/webhook endpoints
+      if (code === '404' && (pathStr.endsWith('/') || pathStr.includes('search') || pathStr.includes('webhook'))) continue;
+      // Skip 422 for GET/DELETE (they don't send bodies)
+      if (code === '422' && (method === 'get' || method === 'delete')) continue;
+      responses[code] = ref;
+      if (standard !== fallback) spec.components.responses[standard.name] = errorResponse(standard);
+    }
+  }
+}
+
+function addSharedComponents(spec) {
+  const components = spec.components || (spec.components = {});
+  components.schemas = { ...components.schemas, ...structuredClone(SHARED_SCHEMAS) };
+  components.responses = { ...components.responses };
+  for (const standard of Object.values(ERROR_RESPONSES)) components.responses[standard.name] = errorResponse(standard);
+}
+
+// Operations that neither the spec nor an overlay gave a `security` get it
+// from the auth rules. BearerAuth is declared if they use it and the spec
+// does not; the spec's own schemes are kept as they are.
+// Returns the rule path globs that match no path in the spec
+function applySecurity(spec, { default: fallback = DEFAULT_AUTH, rules = [] }) {
+  let usesBearer = false;
+  const unused = new Set(rules.flatMap((r) => r.paths));
+  for (const [pathStr, , operation] of operations(spec)) {
+    for (const pattern of unused) if (matchesGlob(pathStr, pattern)) unused.delete(pattern);
+    if (!operation.security) {
+      const rule = rules.find((r) => r.paths.some((pattern) => matchesGlob(pathStr, pattern)));
+      operation.security = securityFor(spec, rule ? rule.auth : fallback);
+    }
+    usesBearer ||= operation.security.some((requirement) => BEARER_SCHEME.name in requirement);
+  }
+
+  const components = spec.components || (spec.components = {});
+  components.securitySchemes = { ...components.securitySchemes };
+  if (usesBearer && !components.securitySchemes[BEARER_SCHEME.name]) {
+    components.securitySchemes[BEARER_SCHEME.name] = structuredClone(BEARER_SCHEME.scheme);
+  }
+  return [...unused];
+}
+
+function mergeContent(base = {}, over = {}) {
+  const merged = { ...base };
+  for (const [mediaType, media] of Object.entries(over)) {
+    merged[mediaType] = { ...base[mediaType], ...media };
+  }
+  return merged;
+}
+
+// The method and path lead every description, so they show on the endpoint
+// page. A description that already starts with its badge is left alone.
+function addBadges(spec) {
+  for (const [pathStr, method, operation] of operations(spec)) {
+    const badge = endpointBadge(method, pathStr);
+    const desc = operation.description || '';
+    if (desc === badge || desc.startsWith(`${badge}\n\n`)) continue;
+    operation.description = desc ? `${badge}\n\n${desc}` : badge;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Enrich
+// ---------------------------------------------------------------------------
+const GENERATED_BY = 'scripts/enrich-openapi.mjs';
+
+export function isEnrichedSpec(spec) {
+  return spec['x-generated-by'] === GENERATED_BY;
+}
+
+export function enrichSpec(base, { tags = {}, auth = {}, paths = {} }) {
+  const unknown = unknownOperations(base, paths);
+  const spec = structuredClone(base);
+
+  enrichTags(spec, tags);
+  cleanSummaries(spec);
+  const enrichedCount = enrichPaths(spec, paths, unknown);
+  injectEnums(spec);
+  addSharedComponents(spec);
+  const unusedAuthPaths = applySecurity(spec, auth);
+  normalizeResponses(spec);
+  const examples = checkExamples(spec);
+  const sharedSchemas = dedupeSchemas(spec);
+  addBadges(spec);
+  spec['x-generated-by'] = GENERATED_BY;
+
+  return { spec, enrichedCount, inferredSchemas: examples.inferred, exampleMismatches: examples.mismatches, sharedSchemas, unusedAuthPaths, unknownOperations: unknown };
+}
@@ -0,0 +1,141 @@
+/**
+ * Keeps the JSON examples in the OpenAPI spec honest (no dependencies). Every
+ * request body and response example is checked against the schema next to
+ * it; where there is no schema, one is inferred from the example and
+ * attached, so later example changes are checked against it.
+ *
+ *   inferSchema(example)  → OpenAPI schema that the example (and values shaped
+ *                           like it) match; nothing is marked required
+ *   checkExamples(spec)   → { inferred, mismatches: [{ endpoint, target, errors }] }
+ *                           attaches inferred schemas to `spec` in place;
+ *                           endpoint is "POST /v2/deals/" (or
+ *                           "components/responses/NotFound"), target is
+ *                           "request body" or "response 201",
+ *                           errors are json-schema.mjs's [{ path, message }]
+ *   compareMismatches(mismatches, allowed)
+ *                         → { allowed, unlisted, stale }, each [{ endpoint, line }];
+ *                           `allowed` is the committed list of known mismatches,
+ *                           { "POST /v2/deals/": ["response 201 $.dealId: must be string"] },
+ *                           and stale holds its lines that no longer occur
+ *
+ * Only application/json content is looked at. Schema $refs resolve against
+ * the spec ("#/components/schemas/...").
+ */
+
+import { validateSchema } from './json-schema.mjs';
+
+const JSON_MEDIA_TYPE = 'application/json';
+
+// ---------------------------------------------------------------------------
+// Inference
+// ---------------------------------------------------------------------------
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+export function inferSchema(example) {
+  switch (typeOf(example)) {
+    case 'null':
+      return { nullable: true };
+    case 'array':
+      return { type: 'array', items: example.map(inferSchema).reduce(mergeSchemas, null) || {} };
+    case 'object':
+      return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(example).map(([key, value]) => [key, inferSchema(value)])),
+      };
+    default:
+      // Never "integer": a whole number in an example may well be a price
+      return { type: typeOf(example) };
+  }
+}
+
+// The loosest schema both match, for arrays whose items differ in shape.
+// { nullable: true } alone is what a null infers to; {} matches anything.
+function mergeSchemas(a, b) {
+  if (!a) return b;
+  const isNull = (schema) => schema.nullable && !schema.type;
+  if (isNull(a) || isNull(b)) {
+    const other = isNull(a) ? b : a;
+    return other.type ? { ...other, nullable: true } : other;
+  }
+  if (!a.type || !b.type || a.type !== b.type) return {};
+
+  const merged = { type: a.type };
+  if (a.type === 'object') {
+    merged.properties = { ...a.properties };
+    for (const [key, schema] of Object.entries(b.properties)) {
+      merged.properties[key] = merged.properties[key] ? mergeSchemas(merged.properties[key], schema) : schema;
+    }
+  }
+  if (a.type === 'array') merged.items = mergeSchemas(a.items, b.items);
+  if (a.nullable || b.nullable) merged.nullable = true;
+  return merged;
+}
+
+// ---------------------------------------------------------------------------
+// Checking
+// ---------------------------------------------------------------------------
+// The enricher gives overlay-only request bodies a bare { type: 'object' };
+// that says nothing an inferred schema wouldn't say better.
+function hasSchema(media) {
+  const schema = media.schema;
+  if (!schema) return false;
+  return Object.keys(schema).some((key) => key !== 'type' && key !== 'description') || schema.type !== 'object';
+}
+
+function checkMedia(media, spec, result, endpoint, target) {
+  if (!media || media.example === undefined) return;
+  if (!hasSchema(media)) {
+    media.schema = { ...media.schema, ...inferSchema(media.example) };
+    // Request body properties carry their own example, like the ones the
+    // enricher fills in from requestExample
+    if (target === 'request body' && media.schema.properties) {
+      for (const [key, prop] of Object.entries(media.schema.properties)) prop.example = media.example[key];
+    }
+    result.inferred++;
+    return;
+  }
+  const errors = validateSchema(media.example, media.schema, { root: spec });
+  if (errors.length > 0) result.mismatches.push({ endpoint, target, errors });
+}
+
+export function checkExamples(spec) {
+  const result = { inferred: 0, mismatches: [] };
+  for (const [pathStr, methods] of Object.entries(spec.paths || {})) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const endpoint = `${method.toUpperCase()} ${pathStr}`;
+      checkMedia(operation.requestBody?.content?.[JSON_MEDIA_TYPE], spec, result, endpoint, 'request body');
+      for (const [status, response] of Object.entries(operation.responses || {})) {
+        checkMedia(response.content?.[JSON_MEDIA_TYPE], spec, result, endpoint, `response ${status}`);
+      }
+    }
+  }
+  // Shared responses, which operations only reference
+  for (const [name, response] of Object.entries(spec.components?.responses || {})) {
+    checkMedia(response.content?.[JSON_MEDIA_TYPE], spec, result, `components/responses/${name}`, 'response');
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Known mismatches
+// ---------------------------------------------------------------------------
+export function compareMismatches(mismatches, allowed = {}) {
+  const result = { allowed: [], unlisted: [], stale: [] };
+  const seen = new Set();
+  for (const { endpoint, target, errors } of mismatches) {
+    const listed = new Set(allowed[endpoint] || []);
+    for (const { path, message } of errors) {
+      const line = `${target} ${path}: ${message}`;
+      seen.add(`${endpoint}\n${line}`);
+      (listed.has(line) ? result.allowed : result.unlisted).push({ endpoint, line });
+    }
+  }
+  for (const [endpoint, lines] of Object.entries(allowed)) {
+    for (const line of lines) if (!seen.has(`${endpoint}\n${line}`)) result.stale.push({ endpoint, line });
+  }
+  return result;
+}
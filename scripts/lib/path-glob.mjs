@@ -0,0 +1,39 @@
+/**
+ * Minimal glob matching for repo-relative paths (no dependencies).
+ *
+ *   globToRegExp(pattern)     → RegExp anchored to the whole path
+ *   matchesGlob(file, pattern) → boolean
+ *
+ * Supports `**` (any number of directories), `*` (anything but `/`), `?`
+ * (one character other than `/`) and `{a,b}` alternatives.
+ */
+
+const cache = new Map();
+
+export function globToRegExp(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories; a trailing "**" matches the rest
+      if (pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+      else { re += '.*'; i += 1; }
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else if (c === '{') { re += '(?:'; braces++; }
+    else if (c === '}' && braces > 0) { re += ')'; braces--; }
+    else if (c === ',' && braces > 0) re += '|';
+    else re += c.replace(/[.+^$|()[\]\\]/g, '\\$&');
+  }
+
+  const regex = new RegExp(`^${re}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+export function matchesGlob(file, pattern) {
+  return globToRegExp(pattern).test(file);
+}
@@ -0,0 +1,283 @@
+/**
+ * Atom and JSON Feed output for the release notes, so partners can subscribe
+ * instead of checking the docs. Every <Update> on release-notes.mdx and the
+ * monthly pages (release-notes/<month>-<year>.mdx) becomes one feed item.
+ *
+ *   readReleaseNotesPages(rootDir, overrides)
+ *                                 → [{ page, text }] for release-notes.mdx and every
+ *                                   monthly file; `overrides` (Map of path → text) stands
+ *                                   in for files about to be written
+ *   appForTag(tag, appIds)        → app id for an Update tag ("api", or the older "revive-api"), else null
+ *   collectFeedItems(pages, { siteUrl, apps })
+ *                                 → FeedItem[], newest first, one per distinct Update
+ *   renderUpdateHtml(update, siteUrl) → HTML for the Update's body
+ *   buildAtomFeed(feed, items)    → Atom 1.0 XML
+ *   buildJsonFeed(feed, items)    → JSON Feed 1.1 text
+ *   buildReleaseFeeds(pages, options)
+ *                                 → [{ file, content }]: <dir>/release-notes.{xml,json} with
+ *                                   every app, plus <dir>/<app>.{xml,json} per app
+ *
+ *   FeedItem = { id, title, url, date, tags: [app ids], summary, html }
+ *
+ * Output only depends on the pages: each feed's "updated" time is its newest
+ * item's date, so regenerating without new entries changes nothing.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseReleaseNotes, formatLinks, bulletsIn, BUCKET_TO_HEADING } from './release-notes-mdx.mjs';
+import { parseDateLabel } from './weekly-recap.mjs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+const INDEX_PAGE = 'release-notes';
+const MONTHLY_DIR = 'release-notes';
+
+// Feed file name (without extension) for the feed that covers every app
+const ALL_APPS_FEED = 'release-notes';
+
+export const DEFAULT_MAX_ITEMS = 20;
+
+// ---------------------------------------------------------------------------
+// Reading the pages
+// ---------------------------------------------------------------------------
+export function readReleaseNotesPages(rootDir, overrides = new Map()) {
+  const read = (filePath) => (overrides.has(filePath) ? overrides.get(filePath) : fs.readFileSync(filePath, 'utf8'));
+
+  const files = [path.join(rootDir, `${INDEX_PAGE}.mdx`)];
+  const monthlyDir = path.join(rootDir, MONTHLY_DIR);
+  const monthly = new Set(fs.existsSync(monthlyDir) ? fs.readdirSync(monthlyDir).filter((f) => f.endsWith('.mdx')) : []);
+  // A monthly file created by this run is not on disk yet
+  for (const filePath of overrides.keys()) {
+    if (path.dirname(filePath) === monthlyDir && filePath.endsWith('.mdx')) monthly.add(path.basename(filePath));
+  }
+  files.push(...[...monthly].sort().map((f) => path.join(monthlyDir, f)));
+
+  return files
+    .filter((f) => overrides.has(f) || fs.existsSync(f))
+    .map((f) => ({ page: path.relative(rootDir, f).split(path.sep).join('/').replace(/\.mdx$/, ''), text: read(f) }));
+}
+
+// ---------------------------------------------------------------------------
+// Items
+// ---------------------------------------------------------------------------
+// Entries before the per-app tags were tagged with the repo name (revive-api)
+export function appForTag(tag, appIds) {
+  if (appIds.includes(tag)) return tag;
+  const short = tag.replace(/^revive-/, '');
+  return appIds.includes(short) ? short : null;
+}
+
+// Same shape as the docs site's heading anchors: "August 13, 2026" → "august-13-2026"
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9\s-]/g, '').trim().replace(/\s+/g, '-');
+}
+
+// A tag: URI (RFC 4151) that stays the same however often the feed is rebuilt,
+// e.g. tag:tech.revive.realestate,2026-08-13:release-notes/api-v3.11.0/api
+function itemId(siteUrl, date, update) {
+  const host = new URL(siteUrl).host;
+  const tags = update.tags.map(encodeURIComponent).join('+');
+  return `tag:${host},${date.toISOString().slice(0, 10)}:release-notes/${encodeURIComponent(update.description)}/${tags}`;
+}
+
+// "May 25, 2026", or "Week of May 18, 2026" for weekly recaps
+function updateDate(update) {
+  return parseDateLabel(update.label.replace(/^Week of /, ''));
+}
+
+function summarize(update) {
+  const counts = Object.keys(BUCKET_TO_HEADING)
+    .map((bucket) => [bucket, bulletsIn(update, bucket).length])
+    .filter(([, n]) => n > 0)
+    .map(([bucket, n]) => `${n} ${BUCKET_TO_HEADING[bucket].toLowerCase()}`);
+  return counts.length > 0 ? `${counts.join(', ')}.` : '';
+}
+
+/**
+ * One item per Update, deduped across pages (the index and the monthly page
+ * carry the same entries). Items link to the monthly page when there is one,
+ * since the index may be trimmed. Updates whose label is not a date are left
+ * out, as there is nothing to order them by.
+ */
+export function collectFeedItems(pages, { siteUrl, apps }) {
+  const appIds = Object.keys(apps);
+  const byKey = new Map();
+  for (const { page, text } of pages) {
+    for (const update of parseReleaseNotes(text).updates) {
+      const date = updateDate(update);
+      if (!date) continue;
+
+      const key = `${update.label}\u0000${update.description}\u0000${update.tags.join(',')}`;
+      const url = `${siteUrl}/${page}#${slugify(update.label)}`;
+      const existing = byKey.get(key);
+      if (existing) {
+        if (page !== INDEX_PAGE) existing.url = url;
+        continue;
+      }
+
+      const tags = [...new Set(update.tags.map((t) => appForTag(t, appIds)).filter(Boolean))];
+      const names = tags.map((t) => apps[t].name || t);
+      byKey.set(key, {
+        id: itemId(siteUrl, date, update),
+        title: names.length > 0 ? `${update.description} (${names.join(', ')})` : update.description,
+        url,
+        date,
+        tags,
+        summary: summarize(update),
+        html: renderUpdateHtml(update, siteUrl),
+      });
+    }
+  }
+  // Stable sort: entries from the same day keep their order on the page
+  return [...byKey.values()].sort((a, b) => b.date - a.date);
+}
+
+// ---------------------------------------------------------------------------
+// HTML rendering
+// ---------------------------------------------------------------------------
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function absoluteUrl(url, siteUrl) {
+  return url.startsWith('/') ? `${siteUrl}${url}` : url;
+}
+
+// Inline markdown used on the pages: `code`, **bold** and [text](url)
+function renderInline(markdown, siteUrl) {
+  return markdown.split(/(`[^`]+`)/).map((part) => {
+    if (/^`[^`]+`$/.test(part)) return `<code>${escapeXml(part.slice(1, -1))}</code>`;
+    return escapeXml(part)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\[([^\]]+)\]\(([^()\s]+)\)/g, (_, text, url) => `<a href="${absoluteUrl(url, siteUrl)}">${text}</a>`);
+  }).join('');
+}
+
+export function renderUpdateHtml(update, siteUrl) {
+  const html = [];
+  let list = [];
+  const flushList = () => {
+    if (list.length > 0) html.push(`<ul>${list.join('')}</ul>`);
+    list = [];
+  };
+  const addLine = (line) => {
+    if (line.type === 'bullet') {
+      const text = line.links.length > 0 ? `${line.text} ${formatLinks(line.links)}` : line.text;
+      list.push(`<li>${renderInline(text, siteUrl)}</li>`);
+      return;
+    }
+    // Blank lines and MDX comments ({/* TODO */}) have nothing to show
+    const text = line.text.trim();
+    if (!text || /^\{\/\*[\s\S]*\*\/\}$/.test(text)) return;
+    flushList();
+    html.push(`<p>${renderInline(text, siteUrl)}</p>`);
+  };
+
+  update.intro.forEach((text) => addLine({ type: 'text', text }));
+  for (const section of update.sections) {
+    flushList();
+    html.push(`<h3>${escapeXml(section.heading)}</h3>`);
+    section.lines.forEach(addLine);
+  }
+  flushList();
+  return html.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Feed formats
+// ---------------------------------------------------------------------------
+// feed = { title, description, author, homeUrl, atomUrl, jsonUrl, updated, apps }
+export function buildAtomFeed(feed, items) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.atomUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.atomUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(feed.author)}</name></author>`,
+  ];
+  for (const item of items) {
+    lines.push(
+      '  <entry>',
+      `    <id>${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+      `    <published>${item.date.toISOString()}</published>`,
+      `    <updated>${item.date.toISOString()}</updated>`,
+      ...item.tags.map((tag) => `    <category term="${escapeXml(tag)}" label="${escapeXml(feed.apps[tag].name || tag)}"/>`),
+      ...(item.summary ? [`    <summary>${escapeXml(item.summary)}</summary>`] : []),
+      `    <content type="html">${escapeXml(item.html)}</content>`,
+      '  </entry>',
+    );
+  }
+  lines.push('</feed>');
+  return lines.join('\n') + '\n';
+}
+
+export function buildJsonFeed(feed, items) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.jsonUrl,
+    authors: [{ name: feed.author }],
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      ...(item.summary ? { summary: item.summary } : {}),
+      content_html: item.html,
+      date_published: item.date.toISOString(),
+      tags: item.tags,
+    })),
+  };
+  return JSON.stringify(json, null, 2) + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// All feeds
+// ---------------------------------------------------------------------------
+// options = config "feeds" ({ dir, siteUrl, title, description, author, maxItems }) plus config "apps"
+export function buildReleaseFeeds(pages, { dir, siteUrl, title, description, author, maxItems = DEFAULT_MAX_ITEMS, apps }) {
+  const items = collectFeedItems(pages, { siteUrl, apps });
+  // An app with no entries yet still gets a valid feed, dated like the others
+  const latest = items[0]?.date || new Date(0);
+
+  const feeds = [{ name: ALL_APPS_FEED, title, description, items }];
+  for (const [app, { name }] of Object.entries(apps)) {
+    feeds.push({
+      name: app,
+      title: `${title}: ${name || app}`,
+      description: `${description} This feed only has the ${name || app} entries.`,
+      items: items.filter((item) => item.tags.includes(app)),
+    });
+  }
+
+  return feeds.flatMap((f) => {
+    const shown = f.items.slice(0, maxItems);
+    const feed = {
+      title: f.title,
+      description: f.description,
+      author,
+      homeUrl: `${siteUrl}/${INDEX_PAGE}`,
+      atomUrl: `${siteUrl}/${dir}/${f.name}.xml`,
+      jsonUrl: `${siteUrl}/${dir}/${f.name}.json`,
+      updated: shown[0]?.date || latest,
+      apps,
+    };
+    return [
+      { file: `${dir}/${f.name}.xml`, content: buildAtomFeed(feed, shown) },
+      { file: `${dir}/${f.name}.json`, content: buildJsonFeed(feed, shown) },
+    ];
+  });
+}
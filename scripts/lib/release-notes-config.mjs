@@ -0,0 +1,121 @@
+/**
+ * Loads scripts/release-notes.config.json — repos, apps, tag prefixes,
+ * CodeRabbit bucket mappings and exclusions — and validates it against
+ * scripts/release-notes.config.schema.json before any script uses it.
+ *
+ *   loadReleaseNotesConfig(file)  → validated config (throws on any problem)
+ *   getReleaseNotesConfig()       → same, loaded once per process; honors
+ *                                   RELEASE_NOTES_CONFIG=<path> for a different file
+ *
+ * On top of the file's own keys, the returned config has:
+ *   appIds          — every app, in render order
+ *   monorepoApps    — apps released from `monorepo` by per-app tags
+ *   standaloneApps  — apps with a repo of their own
+ *   excludeTitlePatterns — compiled to case-insensitive RegExps
+ *   sectionToBucket — codeRabbitSections without the "skip" entries
+ *   skipSections    — Set of section names mapped to "skip"
+ *   bulletSimilarity — defaults to DEFAULT_SIMILARITY_THRESHOLD when omitted
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateSchema, formatSchemaErrors } from './json-schema.mjs';
+import { DEFAULT_SIMILARITY_THRESHOLD } from './bullet-similarity.mjs';
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const DEFAULT_CONFIG_PATH = path.join(SCRIPTS_DIR, 'release-notes.config.json');
+const SCHEMA_PATH = path.join(SCRIPTS_DIR, 'release-notes.config.schema.json');
+
+// Checks the schema can't express: cross-references (apps, audiences), regexes and timezones
+function semanticErrors(raw) {
+  const errors = [];
+  const appIds = Object.keys(raw.apps);
+
+  for (const [glob, target] of Object.entries(raw.appPaths)) {
+    for (const app of [].concat(target)) {
+      if (!raw.apps[app]) errors.push({ path: `$.appPaths["${glob}"]`, message: `unknown app "${app}"` });
+      else if (raw.apps[app].repo !== raw.monorepo) {
+        errors.push({ path: `$.appPaths["${glob}"]`, message: `app "${app}" is not in the monorepo (${raw.monorepo})` });
+      }
+    }
+  }
+
+  raw.excludeTitlePatterns.forEach((pattern, i) => {
+    try { new RegExp(pattern, 'i'); } catch (e) {
+      errors.push({ path: `$.excludeTitlePatterns[${i}]`, message: e.message });
+    }
+  });
+
+  try { new Intl.DateTimeFormat('en-US', { timeZone: raw.timeZone }); } catch {
+    errors.push({ path: '$.timeZone', message: `unknown timezone "${raw.timeZone}"` });
+  }
+
+  if (raw.bulletSimilarity !== undefined && !(raw.bulletSimilarity > 0 && raw.bulletSimilarity <= 1)) {
+    errors.push({ path: '$.bulletSimilarity', message: 'must be greater than 0 and at most 1' });
+  }
+
+  const audienceIds = Object.keys(raw.audiences);
+  for (const [id, app] of Object.entries(raw.apps)) {
+    if (!audienceIds.includes(app.audience)) errors.push({ path: `$.apps.${id}.audience`, message: `unknown audience "${app.audience}"` });
+  }
+  for (const [label, audience] of Object.entries(raw.audienceLabels)) {
+    if (!audienceIds.includes(audience)) errors.push({ path: `$.audienceLabels["${label}"]`, message: `unknown audience "${audience}"` });
+  }
+  raw.changelogs.forEach((changelog, i) => {
+    for (const app of changelog.apps.filter((a) => !appIds.includes(a))) {
+      errors.push({ path: `$.changelogs[${i}].apps`, message: `unknown app "${app}"` });
+    }
+    for (const audience of changelog.audiences.filter((a) => !audienceIds.includes(a))) {
+      errors.push({ path: `$.changelogs[${i}].audiences`, message: `unknown audience "${audience}"` });
+    }
+  });
+
+  for (const app of (raw.migrationNotes?.apps || []).filter((a) => !appIds.includes(a))) {
+    errors.push({ path: '$.migrationNotes.apps', message: `unknown app "${app}"` });
+  }
+
+  for (const repo of raw.backfill.repos) {
+    const app = raw.backfill.repoApps[repo];
+    if (!app) errors.push({ path: '$.backfill.repoApps', message: `no app for repo "${repo}"` });
+    else if (!appIds.includes(app)) errors.push({ path: `$.backfill.repoApps["${repo}"]`, message: `unknown app "${app}"` });
+  }
+
+  if (!appIds.includes(raw.pulse.apiReferenceApp)) {
+    errors.push({ path: '$.pulse.apiReferenceApp', message: `unknown app "${raw.pulse.apiReferenceApp}"` });
+  }
+  return errors;
+}
+
+export function loadReleaseNotesConfig(file = DEFAULT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+
+  const errors = validateSchema(raw, schema);
+  if (errors.length === 0) errors.push(...semanticErrors(raw));
+  if (errors.length > 0) {
+    throw new Error(`Invalid release-notes config ${file}:\n${formatSchemaErrors(errors)}`);
+  }
+
+  const appIds = Object.keys(raw.apps);
+  const sections = Object.entries(raw.codeRabbitSections);
+  return {
+    ...raw,
+    appIds,
+    monorepoApps: appIds.filter((id) => raw.apps[id].repo === raw.monorepo),
+    standaloneApps: appIds.filter((id) => raw.apps[id].repo !== raw.monorepo),
+    excludeTitlePatterns: raw.excludeTitlePatterns.map((p) => new RegExp(p, 'i')),
+    sectionToBucket: Object.fromEntries(sections.filter(([, bucket]) => bucket !== 'skip')),
+    skipSections: new Set(sections.filter(([, bucket]) => bucket === 'skip').map(([name]) => name)),
+    bulletSimilarity: raw.bulletSimilarity ?? DEFAULT_SIMILARITY_THRESHOLD,
+  };
+}
+
+let cached = null;
+export function getReleaseNotesConfig() {
+  if (!cached) {
+    const file = process.env.RELEASE_NOTES_CONFIG ? path.resolve(process.env.RELEASE_NOTES_CONFIG) : DEFAULT_CONFIG_PATH;
+    cached = loadReleaseNotesConfig(file);
+  }
+  return cached;
+}
@@ -0,0 +1,708 @@
+/**
+ * Shared release-notes core used by generate-release-notes.mjs and
+ * backfill-releases.mjs.
+ *
+ * Everything that decides what a PR turns into on the release-notes page
+ * lives here, so a generated note and a backfilled note for the same PR
+ * come out identical:
+ *
+ *   shouldExcludePRTitle(title)     → true if the PR is internal noise
+ *   hasReleaseNoteSkip(body)        → true if the body has <!-- release-note: skip -->
+ *   parseReleaseNotesSection(body)  → { new, improved, fixed, action } | null from "## Release notes"
+ *   cleanPRTitle(raw)               → human-readable title
+ *   parseCodeRabbitSummary(body)    → { new, improved, fixed, action } | null
+ *   extractSummarySection(body)     → one-line "## Summary" / "## TL;DR" text
+ *   parseConventionalTitle(title)   → { type, scope, breaking, subject } | null
+ *   classifyBucket(pr)              → { bucket, reason } from breaking markers, labels, type
+ *   guessBucketFromTitle(title)     → 'new' | 'improved' | 'fixed' | 'action' (keyword fallback)
+ *   classifyAudience(pr, app)       → { audience, reason } — public-api, dashboard, internal, ...
+ *   buildReleaseEntry(pr)           → classified entry for one merged PR
+ *   mergeEntryBullets(entries, { onMerge })
+ *                                   → folds near-duplicate bullets across one app's entries
+ *                                     into the newest entry, before they are summarized
+ *   buildAppEntries(prs, app, { summarizer, onExclude, onEntry, onMerge })
+ *                                   → { entries, excluded, prsByNumber } for one app's PRs: the
+ *                                     only path from PRs to entries, used by both scripts
+ *   buildUpdate(repo, entries, dateLabel, versionLabel, { onMerge })
+ *                                   → Update model (release-notes-mdx.mjs), near-duplicate
+ *                                     bullets merged; onMerge({ bucket, text, links, merged }) reports each merge
+ *   buildUpdateBlock(repo, entries, dateLabel, versionLabel) → <Update> MDX
+ *   releaseDateParts(date, timeZone) → { label, monthTitle, monthSlug } for a release date
+ *   appsForFiles(files, appPaths)   → apps whose path globs match any changed file
+ *   createGitHubClient({ token })   → { getJson, getPaginated, fetchPull, fetchPullFiles }
+ *   createGitHubClientFromEnv()     → same, honoring GITHUB_FIXTURES for offline runs
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createUpdate, serializeUpdate } from './release-notes-mdx.mjs';
+import { matchesGlob } from './path-glob.mjs';
+import { mergeSimilarBullets } from './bullet-similarity.mjs';
+import { getReleaseNotesConfig } from './release-notes-config.mjs';
+import { summarizeEntry } from './summarizer.mjs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+// Repos, exclusions and CodeRabbit mappings come from release-notes.config.json
+const config = getReleaseNotesConfig();
+
+export const ORG = config.org;
+
+// Release-note buckets, in the order they are rendered
+export const BUCKETS = ['new', 'improved', 'fixed', 'action'];
+
+// PRs whose title matches any of these are silently skipped
+export const EXCLUDE_TITLE_PATTERNS = config.excludeTitlePatterns;
+
+// CodeRabbit "Summary by CodeRabbit" marker
+export const CODERABBIT_MARKER_RE = /^(?:[*_#]*\s*)*summary\s+by\s+coderabbit\s*(?:[*_]*\s*)$/i;
+
+// CodeRabbit section names → which release-note bucket they belong to
+export const SECTION_TO_BUCKET = config.sectionToBucket;
+
+// Sections we skip entirely (internal noise)
+export const SKIP_SECTIONS = config.skipSections;
+
+// PR label → bucket, and conventional-commit type / type(scope) → bucket
+export const LABEL_BUCKETS = config.labelBuckets;
+export const COMMIT_TYPE_BUCKETS = config.commitTypeBuckets;
+
+// PR label → audience id, and the per-app default audience
+export const AUDIENCE_LABELS = config.audienceLabels;
+
+// Author override: <!-- release-note: audience=internal -->
+const AUDIENCE_MARKER_RE = /<!--\s*release-note:\s*audience\s*=\s*([\w-]+)\s*-->/i;
+
+// "feat(api)!: drop stage names" → type, scope, breaking "!", subject
+const CONVENTIONAL_TITLE_RE = /^([a-z]+)(?:\(([^()]+)\))?(!)?\s*:\s*(.*)$/i;
+
+// "BREAKING CHANGE:" / "BREAKING-CHANGE:" footer in a PR body
+const BREAKING_FOOTER_RE = /^BREAKING[ -]CHANGE:/m;
+
+// All known section names (for parsing)
+const ALL_SECTION_NAMES = new Set([
+  ...Object.keys(SECTION_TO_BUCKET),
+  ...SKIP_SECTIONS,
+]);
+
+// Author opt-out: a PR whose body contains this never appears in release notes
+export const RELEASE_NOTE_SKIP_RE = /<!--\s*release-note:\s*skip\s*-->/i;
+
+// "## Release notes" block written by the PR author, and its subsection headings
+const RELEASE_NOTES_HEADING_RE = /^(#{2,3})\s*release[\s-]notes?\s*:?\s*$/i;
+const RELEASE_NOTES_SUBSECTIONS = {
+  'new': 'new',
+  'improved': 'improved',
+  'fixed': 'fixed',
+  'action required': 'action',
+};
+
+// Hand-written PR summary headings, used when there is no CodeRabbit block
+export const SUMMARY_HEADING_PATTERNS = [
+  /^#{2,3}\s*summary\s*$/i,
+  /^#{2,3}\s*tldr\s*$/i,
+  /^#{2,3}\s*tl;dr\s*$/i,
+  /^#{2,3}\s*overview\s*$/i,
+];
+
+// ---------------------------------------------------------------------------
+// Title cleaning
+// ---------------------------------------------------------------------------
+export function shouldExcludePRTitle(title) {
+  return EXCLUDE_TITLE_PATTERNS.some((re) => re.test(title || ''));
+}
+
+export function cleanPRTitle(raw) {
+  let t = (raw || '').trim();
+
+  // Strip conventional-commit prefix
+  t = t.replace(/^(?:feat|fix|chore|refactor|docs|ci|style|perf|test|build)\s*(?:\([^)]*\))?\s*!?\s*:\s*/i, '');
+
+  // Branch-name style: TEC-1234/some-feature/Author-Name → some feature
+  if (/^[A-Z]{2,}-\d+\//.test(t)) {
+    const segs = t.split('/');
+    const meaningful = segs.filter((s, i) => {
+      if (/^[A-Z]{2,}-\d+$/.test(s)) return false;
+      if (i === segs.length - 1 && /^[A-Z][a-z]+-[A-Z][a-z]+$/.test(s)) return false;
+      return true;
+    });
+    if (meaningful.length > 0) t = meaningful.join(' ');
+  }
+
+  t = t.replace(/-/g, ' ').replace(/\s+/g, ' ').trim();
+
+  // SHOUTED TITLES → Sentence case
+  if (t === t.toUpperCase() && t.length > 3) return t.charAt(0).toUpperCase() + t.slice(1).toLowerCase();
+  return t.charAt(0).toUpperCase() + t.slice(1);
+}
+
+// Sentence case + trailing period, shared by every bullet source
+function toBulletText(text) {
+  let t = text.trim();
+  if (!t) return '';
+  t = t.charAt(0).toUpperCase() + t.slice(1);
+  if (!/[.!?]$/.test(t)) t += '.';
+  return t;
+}
+
+// ---------------------------------------------------------------------------
+// CodeRabbit summary parsing — returns categorized bullet items
+// ---------------------------------------------------------------------------
+function isKnownSection(line) {
+  const cleaned = line.replace(/^[\s*_#-]+/, '').replace(/[\s*_#]+$/, '');
+  return ALL_SECTION_NAMES.has(cleaned) ? cleaned : null;
+}
+
+export function parseCodeRabbitSummary(body) {
+  if (!body) return null;
+
+  const lines = body.replace(/\r\n/g, '\n').split('\n');
+  const startIdx = lines.findIndex((l) => CODERABBIT_MARKER_RE.test(l.trim()));
+  if (startIdx === -1) return null;
+
+  // Collect lines until boundary
+  const blockLines = [];
+  for (let i = startIdx + 1; i < lines.length; i++) {
+    const t = lines[i].trim();
+    if (t.startsWith('<!--') && t.includes('end of auto-generated')) break;
+    if (t.startsWith('<!--')) continue;
+    if (CODERABBIT_MARKER_RE.test(t)) break;
+    if (/^#{2,6}\s+/.test(t) && !isKnownSection(t)) break;
+    if (t.toLowerCase() === 'image') break;
+    blockLines.push(lines[i]);
+  }
+
+  if (blockLines.length === 0) return null;
+
+  // Parse into section → items[]
+  const result = { new: [], improved: [], fixed: [], action: [] };
+  let currentSection = null;
+  let hasSections = false;
+
+  for (const raw of blockLines) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    const sectionName = isKnownSection(line);
+    if (sectionName) {
+      currentSection = sectionName;
+      hasSections = true;
+      continue;
+    }
+    if (!currentSection) continue;
+    if (SKIP_SECTIONS.has(currentSection)) continue;
+
+    // Clean the bullet text
+    const text = toBulletText(line
+      .replace(/^[\s*_-]+/, '')   // strip leading bullet/bold markers
+      .replace(/[\s*_]+$/, '')    // strip trailing
+      .replace(/<\/?[^>]+>/g, '') // strip HTML tags
+      .replace(/!?\[!?\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '') // strip nested markdown image/badge links
+      .replace(/!?\[[^\]]*\]\([^)]*\)/g, '')); // strip markdown images/links
+
+    if (!text) continue;
+
+    const bucket = SECTION_TO_BUCKET[currentSection];
+    if (bucket && result[bucket]) {
+      result[bucket].push(text);
+    }
+  }
+
+  if (!hasSections) return null;
+
+  const total = BUCKETS.reduce((n, b) => n + result[b].length, 0);
+  return total > 0 ? result : null;
+}
+
+// ---------------------------------------------------------------------------
+// Author-written "## Release notes" block
+// ---------------------------------------------------------------------------
+export function hasReleaseNoteSkip(body) {
+  return RELEASE_NOTE_SKIP_RE.test(body || '');
+}
+
+// "### Action required", "**Fixed**" or "Fixed:" → bucket, else null
+function releaseNotesSubsection(line) {
+  const m = line.match(/^(?:#{3,4}\s*(.+?)|\*\*(.+?)\*\*|([A-Za-z ]+):)\s*$/);
+  if (!m) return null;
+  const name = (m[1] || m[2] || m[3]).replace(/:$/, '').trim().toLowerCase();
+  return RELEASE_NOTES_SUBSECTIONS[name] || null;
+}
+
+/**
+ * Parses the PR author's own release notes:
+ *
+ *   ## Release notes
+ *   ### New
+ *   - Added `GET /v1/deals/export` to download deals as CSV.
+ *   ### Action required
+ *   - The `stage` filter now takes a stage ID.
+ *
+ * Bullets keep their markdown (links, code); indented lines continue the
+ * bullet above. Template comments and "None" placeholders are ignored.
+ * Returns null when there is no such block or it lists nothing.
+ */
+export function parseReleaseNotesSection(body) {
+  if (!body) return null;
+
+  const lines = body.replace(/\r\n/g, '\n').replace(/<!--[\s\S]*?-->/g, '').split('\n');
+  const start = lines.findIndex((l) => RELEASE_NOTES_HEADING_RE.test(l.trim()));
+  if (start === -1) return null;
+  const level = lines[start].trim().match(RELEASE_NOTES_HEADING_RE)[1].length;
+
+  const result = { new: [], improved: [], fixed: [], action: [] };
+  let bucket = null;
+  let current = null; // bullet being collected
+  const flush = () => {
+    const text = current && toBulletText(current.replace(/\s+/g, ' '));
+    if (text && !/^(?:none|n\/a|-)\.?$/i.test(text)) result[bucket].push(text);
+    current = null;
+  };
+
+  for (let i = start + 1; i < lines.length; i++) {
+    const raw = lines[i];
+    const line = raw.trim();
+    const heading = line.match(/^(#{1,6})\s/);
+    if (heading && heading[1].length <= level) break;
+
+    const sub = releaseNotesSubsection(line);
+    if (sub || heading) { flush(); bucket = sub; continue; }
+    if (!bucket) continue;
+
+    const bullet = line.match(/^[-*+]\s+(.*)$/);
+    if (bullet) { flush(); current = bullet[1]; }
+    else if (!line) flush();
+    else if (current !== null) current += ` ${line}`;
+    else current = line; // a plain sentence counts as one item
+  }
+  flush();
+
+  return BUCKETS.some((b) => result[b].length > 0) ? result : null;
+}
+
+// ---------------------------------------------------------------------------
+// Hand-written summary sections (## Summary, ## TL;DR, ...)
+// ---------------------------------------------------------------------------
+function extractSectionUnderHeading(body, headingRe) {
+  const lines = body.replace(/\r\n/g, '\n').split('\n');
+  const start = lines.findIndex((l) => headingRe.test(l.trim()));
+  if (start === -1) return '';
+  let end = lines.length;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (/^#{2,6}\s+/.test(lines[i].trim())) { end = i; break; }
+  }
+  return lines.slice(start + 1, end).join('\n');
+}
+
+function toSingleLine(text, maxLen = 200) {
+  const oneLine = text
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/^\s*(?:[-*]|\d+\.)\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (oneLine.length <= maxLen) return oneLine;
+  const truncated = oneLine.slice(0, maxLen);
+  const lastSpace = truncated.lastIndexOf(' ');
+  if (lastSpace > maxLen * 0.6) return truncated.slice(0, lastSpace) + '…';
+  return truncated.slice(0, maxLen - 1) + '…';
+}
+
+export function extractSummarySection(body) {
+  if (!body) return '';
+  for (const re of SUMMARY_HEADING_PATTERNS) {
+    const text = toSingleLine(extractSectionUnderHeading(body, re));
+    if (text) return text;
+  }
+  return '';
+}
+
+// ---------------------------------------------------------------------------
+// PR classification
+// ---------------------------------------------------------------------------
+export function parseConventionalTitle(title) {
+  const m = (title || '').trim().match(CONVENTIONAL_TITLE_RE);
+  if (!m) return null;
+  return { type: m[1].toLowerCase(), scope: m[2] ? m[2].trim().toLowerCase() : null, breaking: Boolean(m[3]), subject: m[4] };
+}
+
+// Last resort for titles with no conventional type and no deciding label
+export function guessBucketFromTitle(title) {
+  return /\bbreaking\b/i.test(title) ? 'action' :
+    /^fix/i.test(title) || /\bfix(es|ed)?\b/i.test(title) ? 'fixed' :
+    /^(refactor|improve|perf|chore|update|bump)/i.test(title) ? 'improved' :
+    'new';
+}
+
+/**
+ * Picks the bucket for a PR that has no structured notes. Precedence:
+ *
+ *   1. Breaking → 'action': a "!" after the type (feat(api)!:), a
+ *      "BREAKING CHANGE:" footer in the body, or a label mapped to "action".
+ *      A breaking change never lands in New, whatever the title says.
+ *   2. Labels → the first PR label found in labelBuckets (bug → fixed, ...).
+ *   3. Conventional-commit type → commitTypeBuckets, trying "type(scope)"
+ *      before "type" (so fix(deps) can differ from fix).
+ *   4. Keywords in the title (guessBucketFromTitle).
+ *
+ * Returns { bucket, reason } so callers can log why.
+ */
+export function classifyBucket(pr) {
+  const title = pr.title || '';
+  const labels = (pr.labels || []).map((l) => (typeof l === 'string' ? l : l.name || '').toLowerCase());
+  const conventional = parseConventionalTitle(title);
+
+  const breakingLabel = labels.find((l) => LABEL_BUCKETS[l] === 'action');
+  if (conventional?.breaking) return { bucket: 'action', reason: `breaking "!" in ${conventional.type}` };
+  if (BREAKING_FOOTER_RE.test(pr.body || '')) return { bucket: 'action', reason: 'BREAKING CHANGE footer' };
+  if (breakingLabel) return { bucket: 'action', reason: `label "${breakingLabel}"` };
+
+  const label = Object.keys(LABEL_BUCKETS).find((l) => labels.includes(l));
+  if (label) return { bucket: LABEL_BUCKETS[label], reason: `label "${label}"` };
+
+  if (conventional) {
+    const scoped = conventional.scope && `${conventional.type}(${conventional.scope})`;
+    if (scoped && COMMIT_TYPE_BUCKETS[scoped]) return { bucket: COMMIT_TYPE_BUCKETS[scoped], reason: `type ${scoped}` };
+    if (COMMIT_TYPE_BUCKETS[conventional.type]) return { bucket: COMMIT_TYPE_BUCKETS[conventional.type], reason: `type ${conventional.type}` };
+  }
+
+  return { bucket: guessBucketFromTitle(title), reason: 'title keywords' };
+}
+
+/**
+ * Picks who an entry is for. Precedence: an audience marker in the PR body,
+ * then the first PR label found in audienceLabels, then the app's default
+ * audience from the config. Unknown marker values are ignored.
+ */
+export function classifyAudience(pr, app) {
+  const marker = (pr.body || '').match(AUDIENCE_MARKER_RE)?.[1].toLowerCase();
+  if (marker && config.audiences[marker]) return { audience: marker, reason: 'body marker' };
+
+  const labels = (pr.labels || []).map((l) => (typeof l === 'string' ? l : l.name || '').toLowerCase());
+  const label = Object.keys(AUDIENCE_LABELS).find((l) => labels.includes(l));
+  if (label) return { audience: AUDIENCE_LABELS[label], reason: `label "${label}"` };
+
+  return { audience: config.apps[app]?.audience || null, reason: `${app} default` };
+}
+
+/**
+ * Breaking PRs whose CodeRabbit summary listed the change under a feature
+ * section: move those items to Action required so they are not shown as New.
+ */
+function moveBreakingOutOfNew(entry, pr) {
+  if (classifyBucket(pr).bucket !== 'action' || entry.action.length > 0) return entry;
+  return { ...entry, new: [], action: [...entry.new] };
+}
+
+/**
+ * Turns one merged PR (as returned by GET /repos/:org/:repo/pulls/:n) into a
+ * release-note entry: { new, improved, fixed, action, link, number, url,
+ * mergedAt, source }. `source` says where the bullet text came from, in order
+ * of precedence: 'release-notes' (the author's "## Release notes" block),
+ * 'coderabbit', 'summary' or 'title'. Summary and title entries also carry
+ * `bucketReason` (see classifyBucket). Callers drop PRs marked with
+ * hasReleaseNoteSkip() before getting here.
+ */
+export function buildReleaseEntry(pr) {
+  const title = pr.title || '';
+  const link = `([#${pr.number}](${pr.html_url}))`;
+  const base = { link, number: pr.number, url: pr.html_url, mergedAt: pr.merged_at || '' };
+
+  // The author's own release notes win over anything generated
+  const authored = parseReleaseNotesSection(pr.body);
+  if (authored) return { ...authored, ...base, source: 'release-notes' };
+
+  // Then the CodeRabbit structured summary
+  const codeRabbit = parseCodeRabbitSummary(pr.body);
+  if (codeRabbit) return moveBreakingOutOfNew({ ...codeRabbit, ...base, source: 'coderabbit' }, pr);
+
+  // Fallback: a hand-written summary section, then the cleaned title
+  const summary = extractSummarySection(pr.body);
+  const text = toBulletText(summary || cleanPRTitle(title));
+  const { bucket, reason } = classifyBucket(pr);
+
+  const entry = { new: [], improved: [], fixed: [], action: [], ...base, source: summary ? 'summary' : 'title', bucketReason: reason };
+  entry[bucket].push(text);
+  return entry;
+}
+
+// The PRs a bullet cites: its own, plus any whose near-duplicates it absorbed
+function bulletLinks(entry, bucket, index) {
+  return entry.bulletLinks?.[bucket]?.[index] || [{ number: entry.number, url: entry.url }];
+}
+
+/**
+ * Folds near-duplicate bullets of entries (one app's, newest first) that
+ * share an audience, so a summarizer sees one feature once. Each group
+ * stays on the entry of its first bullet, with the text of its longest;
+ * entry.bulletLinks[bucket][i] lists every PR bullet i came from.
+ * onMerge({ bucket, text, links, merged }) reports each merge.
+ */
+export function mergeEntryBullets(entries, { onMerge } = {}) {
+  const audiences = [...new Set(entries.map((e) => e.audience))];
+  for (const audience of audiences) {
+    const group = entries.filter((e) => e.audience === audience);
+    const byNumber = new Map(group.map((e) => [e.number, e]));
+    for (const bucket of BUCKETS) {
+      const bullets = group.flatMap((e) => e[bucket].map((text, i) => ({ text, links: bulletLinks(e, bucket, i) })));
+      const { bullets: merged, merges } = mergeSimilarBullets(bullets, { threshold: config.bulletSimilarity });
+      if (merges.length === 0) continue;
+
+      for (const e of group) {
+        e[bucket] = [];
+        e.bulletLinks = { ...e.bulletLinks, [bucket]: [] };
+      }
+      for (const { text, links } of merged) {
+        const owner = byNumber.get(links[0].number);
+        owner[bucket].push(text);
+        owner.bulletLinks[bucket].push(links);
+      }
+      if (onMerge) merges.forEach((merge) => onMerge({ bucket, ...merge }));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Turns one app's merged PRs into its release-note entries, newest first:
+ * drops excluded PRs, builds and audience-tags each entry, merges
+ * near-duplicate bullets and summarizes what is left. `app` is an id from
+ * config.apps; it picks the default audience and the name the summarizer
+ * sees. Hooks report each step: onExclude({ app, number, title, reason }),
+ * onEntry(entry) before merging, onMerge as in mergeEntryBullets.
+ * `prsByNumber` maps each entry's number back to its PR.
+ */
+export async function buildAppEntries(prs, app, { summarizer = null, onExclude, onEntry, onMerge } = {}) {
+  const entries = [];
+  const excluded = [];
+  const prsByNumber = new Map();
+  for (const pr of prs) {
+    const title = pr.title || '';
+    const reason = shouldExcludePRTitle(title) ? 'title' : hasReleaseNoteSkip(pr.body) ? 'skip-marker' : null;
+    if (reason) {
+      const skipped = { app, number: pr.number, title, reason };
+      excluded.push(skipped);
+      if (onExclude) onExclude(skipped);
+      continue;
+    }
+    const entry = buildReleaseEntry(pr);
+    entry.audience = classifyAudience(pr, app).audience;
+    if (onEntry) onEntry(entry);
+    entries.push(entry);
+    prsByNumber.set(pr.number, pr);
+  }
+
+  entries.sort((a, b) => b.mergedAt.localeCompare(a.mergedAt));
+  mergeEntryBullets(entries, { onMerge });
+  for (const entry of entries) {
+    await summarizeEntry(entry, prsByNumber.get(entry.number), app, summarizer, config.apps[app]?.name || app);
+  }
+  return { entries, excluded, prsByNumber };
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+export function buildUpdate(repo, entries, dateLabel, versionLabel, { onMerge } = {}) {
+  // Merge all entries into combined buckets, each bullet citing its PR(s)
+  const buckets = Object.fromEntries(BUCKETS.map((b) => [b, []]));
+  for (const entry of entries) {
+    for (const bucket of BUCKETS) {
+      entry[bucket].forEach((text, i) => buckets[bucket].push({ text, links: bulletLinks(entry, bucket, i) }));
+    }
+  }
+
+  // One feature spread over several PRs reads as one bullet citing all of them
+  for (const bucket of BUCKETS) {
+    const { bullets, merges } = mergeSimilarBullets(buckets[bucket], { threshold: config.bulletSimilarity });
+    buckets[bucket] = bullets;
+    if (onMerge) merges.forEach((merge) => onMerge({ bucket, ...merge }));
+  }
+  return createUpdate({ label: dateLabel, description: versionLabel, tags: [repo], buckets });
+}
+
+export function buildUpdateBlock(repo, entries, dateLabel, versionLabel) {
+  return serializeUpdate(buildUpdate(repo, entries, dateLabel, versionLabel));
+}
+
+// ---------------------------------------------------------------------------
+// App classification
+// ---------------------------------------------------------------------------
+
+/**
+ * Maps a PR's changed files to the apps they belong to. `appPaths` maps a
+ * path glob to one app or a list of apps (for shared code), e.g.
+ *   { 'apps/api/**': 'api', 'packages/ui/**': ['dashboard', 'admin'] }
+ * Returns the matched apps in `appPaths` order; files matching no glob are ignored.
+ */
+export function appsForFiles(files, appPaths) {
+  const apps = new Set();
+  for (const [glob, target] of Object.entries(appPaths)) {
+    if (files.some((f) => matchesGlob(f, glob))) {
+      for (const app of [].concat(target)) apps.add(app);
+    }
+  }
+  return [...apps];
+}
+
+// ---------------------------------------------------------------------------
+// Release dates
+// ---------------------------------------------------------------------------
+
+/**
+ * Formats a release date for the <Update> label and the monthly file.
+ * `date` is a GitHub timestamp (e.g. published_at), converted to `timeZone`,
+ * or a plain YYYY-MM-DD, which is already a calendar day and used as-is.
+ *
+ *   releaseDateParts('2026-09-01T02:00:00Z', 'America/Los_Angeles')
+ *   → { label: 'August 31, 2026', monthTitle: 'August 2026', monthSlug: 'august-2026' }
+ */
+export function releaseDateParts(date, timeZone = 'UTC') {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(date);
+  const d = new Date(dateOnly ? `${date}T12:00:00Z` : date);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid release date: ${date}`);
+
+  const tz = dateOnly ? 'UTC' : timeZone;
+  const label = d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: tz });
+  const month = d.toLocaleDateString('en-US', { month: 'long', timeZone: tz });
+  const year = d.toLocaleDateString('en-US', { year: 'numeric', timeZone: tz });
+  return { label, monthTitle: `${month} ${year}`, monthSlug: `${month.toLowerCase()}-${year}` };
+}
+
+// ---------------------------------------------------------------------------
+// GitHub API client
+// ---------------------------------------------------------------------------
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Maps an API URL to its fixture file name, e.g.
+ *   https://api.github.com/repos/Revive-Home/revive-apps/pulls/42
+ *   → repos_Revive-Home_revive-apps_pulls_42.json
+ */
+export function fixtureFileName(url) {
+  const rel = decodeURIComponent(url.replace(/^https:\/\/api\.github\.com\//, ''));
+  return rel.replace(/[^\w.=@-]+/g, '_').replace(/^_+|_+$/g, '') + '.json';
+}
+
+/**
+ * Minimal GitHub REST client. Retries on primary and secondary rate limits
+ * (403/429) up to `retries` times before giving up.
+ *
+ * With `fixturesDir` set, responses are replayed from disk (one JSON file per
+ * URL, named by fixtureFileName) and no token or network is needed. Adding
+ * `record: true` fetches live and writes each response into `fixturesDir`.
+ */
+export function createGitHubClient({ token, org = ORG, retries = 3, fixturesDir = '', record = false } = {}) {
+  const replay = fixturesDir && !record;
+  if (!token && !replay) throw new Error('Missing GitHub token');
+
+  function readFixture(url) {
+    const file = path.join(fixturesDir, fixtureFileName(url));
+    if (!fs.existsSync(file)) {
+      throw new Error(`No GitHub fixture for ${url} (expected ${file})`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function writeFixture(url, data) {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(path.join(fixturesDir, fixtureFileName(url)), JSON.stringify(data, null, 2) + '\n');
+  }
+
+  async function fetchJson(url) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const res = await fetch(url, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'application/vnd.github+json',
+          'X-GitHub-Api-Version': '2022-11-28',
+        },
+      });
+
+      if (res.ok) return res.json();
+
+      // Handle rate limiting — wait until reset
+      if ((res.status === 403 || res.status === 429) && attempt < retries) {
+        const resetHeader = res.headers.get('x-ratelimit-reset');
+        const remaining = res.headers.get('x-ratelimit-remaining');
+        if (resetHeader && (remaining === '0' || remaining === null)) {
+          const waitMs = Math.max(parseInt(resetHeader, 10) * 1000 - Date.now(), 0) + 5000; // 5s buffer
+          console.log(`  ⏳ Rate limited. Waiting ${Math.ceil(waitMs / 60000)} min until reset...`);
+          await sleep(waitMs);
+          continue;
+        }
+        // Secondary rate limit — exponential backoff
+        const backoff = Math.pow(2, attempt) * 10000;
+        console.log(`  ⏳ Rate limited (no reset header). Waiting ${Math.ceil(backoff / 1000)}s...`);
+        await sleep(backoff);
+        continue;
+      }
+
+      const text = await res.text();
+      throw new Error(`GitHub API error ${res.status} for ${url}: ${text}`);
+    }
+    throw new Error(`GitHub API failed after ${retries} retries for ${url}`);
+  }
+
+  async function getJson(url) {
+    if (replay) return readFixture(url);
+    const data = await fetchJson(url);
+    if (record) writeFixture(url, data);
+    return data;
+  }
+
+  /**
+   * Fetches every page of a list endpoint (per_page=100). Wrapped responses
+   * pass `select` to pick the array out (compare → commits, search → items)
+   * and `total` to read the server's count. Stops after `maxItems`, and warns
+   * whenever it returns fewer items than GitHub reported or hit the limit.
+   */
+  async function getPaginated(baseUrl, { select = (data) => data, total = null, maxItems = Infinity } = {}) {
+    const all = [];
+    let expected = null;
+    let more = false;
+    for (let page = 1; ; page++) {
+      const sep = baseUrl.includes('?') ? '&' : '?';
+      const data = await getJson(`${baseUrl}${sep}per_page=100&page=${page}`);
+      if (total && expected === null) expected = total(data) ?? null;
+      const items = select(data);
+      if (!Array.isArray(items) || items.length === 0) break;
+      all.push(...items);
+      if (items.length < 100 || (expected !== null && all.length >= expected)) break;
+      if (all.length >= maxItems) { more = true; break; }
+    }
+
+    if (more || (expected !== null && all.length < expected)) {
+      const of = expected !== null ? `${all.length} of ${expected}` : `the first ${all.length}`;
+      console.warn(`  ⚠ Only fetched ${of} results from ${baseUrl} — release notes may be incomplete.`);
+    }
+    return all;
+  }
+
+  function fetchPull(repoSlug, number) {
+    return getJson(`https://api.github.com/repos/${org}/${repoSlug}/pulls/${number}`);
+  }
+
+  // Paths changed by a PR (GitHub lists at most 3000 files)
+  async function fetchPullFiles(repoSlug, number) {
+    const files = await getPaginated(`https://api.github.com/repos/${org}/${repoSlug}/pulls/${number}/files`, { maxItems: 3000 });
+    return files.map((f) => f.filename);
+  }
+
+  return { getJson, getPaginated, fetchPull, fetchPullFiles };
+}
+
+/**
+ * Builds a client from the environment:
+ *   GITHUB_TOKEN            — live API access
+ *   GITHUB_FIXTURES         — directory to replay responses from (offline)
+ *   GITHUB_FIXTURES_RECORD  — "true" to record live responses into GITHUB_FIXTURES
+ */
+export function createGitHubClientFromEnv(env = process.env) {
+  const fixturesDir = env.GITHUB_FIXTURES ? path.resolve(env.GITHUB_FIXTURES) : '';
+  const record = Boolean(fixturesDir) && env.GITHUB_FIXTURES_RECORD === 'true';
+  if (!env.GITHUB_TOKEN && (!fixturesDir || record)) {
+    throw new Error('Missing required env var: GITHUB_TOKEN (or set GITHUB_FIXTURES to replay recorded responses)');
+  }
+  return createGitHubClient({ token: env.GITHUB_TOKEN, fixturesDir, record });
+}
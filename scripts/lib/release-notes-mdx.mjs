@@ -0,0 +1,233 @@
+/**
+ * Parser and serializer for release-notes MDX files (release-notes.mdx and
+ * release-notes/<month>-<year>.mdx).
+ *
+ *   parseReleaseNotes(text)   → ReleaseNotesDoc
+ *   serializeReleaseNotes(doc) → text
+ *
+ * serializeReleaseNotes(parseReleaseNotes(text)) === text for every file in
+ * the repo, so scripts can edit the model and write it back without touching
+ * anything they did not change.
+ *
+ * Model:
+ *   ReleaseNotesDoc = {
+ *     frontmatter: { title, description, ... },
+ *     updates: Update[],
+ *     trailing: string,            // text after the last </Update>
+ *     hasFrontmatter: boolean,
+ *     frontmatterSource: { text, data } | null,
+ *                                  // the frontmatter as read, written back
+ *                                  // verbatim while `frontmatter` still matches
+ *   }
+ *   Update = {
+ *     label, description, tags: string[],
+ *     leading: string,             // text between the previous node and this <Update>
+ *     intro: string[],             // lines before the first ### heading
+ *     sections: Section[],
+ *   }
+ *   Section = {
+ *     heading: 'New' | 'Improved' | 'Fixed' | 'Action required' | ...,
+ *     bucket: 'new' | 'improved' | 'fixed' | 'action' | null,
+ *     lines: Line[],               // everything up to the next heading
+ *   }
+ *   Line = { type: 'bullet', text, links: [{ number, url }] }
+ *        | { type: 'text', text }
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+export const HEADING_TO_BUCKET = {
+  'New': 'new',
+  'Improved': 'improved',
+  'Fixed': 'fixed',
+  'Action required': 'action',
+};
+
+export const BUCKET_TO_HEADING = Object.fromEntries(
+  Object.entries(HEADING_TO_BUCKET).map(([heading, bucket]) => [bucket, heading]),
+);
+
+// Placeholder text rendered under an empty bucket heading
+export const EMPTY_BUCKET_TEXT = {
+  new: 'No new features in this release.',
+  improved: 'No improvements in this release.',
+  fixed: 'No bug fixes in this release.',
+  action: 'No action required for existing integrations.',
+};
+
+// One <Update> block; group 4 is the body, including its final newline
+const UPDATE_RE = /^<Update label="([^"]*)" description="([^"]*)" tags=\{\[((?:"[^"]*"(?:, )?)*)\]\}>\n([\s\S]*?)^<\/Update>$/gm;
+
+// "([#12](https://…/pull/12), [#14](https://…/pull/14))" at the end of a bullet
+const LINKS_SUFFIX_RE = / \((\[#\d+\]\([^()\s]+\)(?:, \[#\d+\]\([^()\s]+\))*)\)$/;
+const LINK_RE = /\[#(\d+)\]\(([^()\s]+)\)/g;
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+function parseFrontmatter(block) {
+  const data = {};
+  for (const line of block.split('\n')) {
+    const m = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!m) continue;
+    let value = m[2];
+    if (/^".*"$/.test(value)) value = value.slice(1, -1).replace(/\\"/g, '"');
+    data[m[1]] = value;
+  }
+  return data;
+}
+
+export function parseBullet(line) {
+  if (!line.startsWith('- ')) return null;
+  const body = line.slice(2);
+  const m = body.match(LINKS_SUFFIX_RE);
+  if (!m) return { type: 'bullet', text: body, links: [] };
+  const links = [...m[1].matchAll(LINK_RE)].map((l) => ({ number: Number(l[1]), url: l[2] }));
+  return { type: 'bullet', text: body.slice(0, m.index), links };
+}
+
+function parseLine(line) {
+  return parseBullet(line) || { type: 'text', text: line };
+}
+
+function parseUpdateBody(lines) {
+  const intro = [];
+  const sections = [];
+  let current = null;
+  for (const line of lines) {
+    const heading = line.match(/^### (.+)$/);
+    if (heading) {
+      current = { heading: heading[1], bucket: HEADING_TO_BUCKET[heading[1]] || null, lines: [] };
+      sections.push(current);
+      continue;
+    }
+    if (current) current.lines.push(parseLine(line));
+    else intro.push(line);
+  }
+  return { intro, sections };
+}
+
+export function parseReleaseNotes(text) {
+  let rest = text;
+  let frontmatter = {};
+  let frontmatterSource = null;
+  const fm = text.match(/^---\n([\s\S]*?)\n---/);
+  if (fm) {
+    frontmatter = parseFrontmatter(fm[1]);
+    frontmatterSource = { text: fm[0], data: { ...frontmatter } };
+    rest = text.slice(fm[0].length);
+  }
+
+  const updates = [];
+  let lastEnd = 0;
+  for (const m of rest.matchAll(UPDATE_RE)) {
+    const bodyLines = m[4] === '' ? [] : m[4].slice(0, -1).split('\n');
+    updates.push({
+      label: m[1],
+      description: m[2],
+      tags: [...m[3].matchAll(/"([^"]*)"/g)].map((t) => t[1]),
+      leading: rest.slice(lastEnd, m.index),
+      ...parseUpdateBody(bodyLines),
+    });
+    lastEnd = m.index + m[0].length;
+  }
+
+  return { frontmatter, updates, trailing: rest.slice(lastEnd), hasFrontmatter: Boolean(fm), frontmatterSource };
+}
+
+// ---------------------------------------------------------------------------
+// Serialization
+// ---------------------------------------------------------------------------
+function sameEntries(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key, i) => Object.keys(b)[i] === key && String(a[key]) === String(b[key]));
+}
+
+// Untouched frontmatter is written back as it was read, quoting and all
+function serializeFrontmatter(data, source) {
+  if (source && sameEntries(data, source.data)) return source.text;
+  const lines = Object.entries(data).map(([k, v]) => `${k}: "${String(v).replace(/"/g, '\\"')}"`);
+  return `---\n${lines.join('\n')}\n---`;
+}
+
+export function formatLinks(links) {
+  return `(${links.map((l) => `[#${l.number}](${l.url})`).join(', ')})`;
+}
+
+export function serializeLine(line) {
+  if (line.type !== 'bullet') return line.text;
+  return line.links.length > 0 ? `- ${line.text} ${formatLinks(line.links)}` : `- ${line.text}`;
+}
+
+export function serializeUpdate(update) {
+  const tags = update.tags.map((t) => `"${t}"`).join(', ');
+  const lines = [`<Update label="${update.label}" description="${update.description}" tags={[${tags}]}>`];
+  lines.push(...update.intro);
+  for (const section of update.sections) {
+    lines.push(`### ${section.heading}`);
+    lines.push(...section.lines.map(serializeLine));
+  }
+  lines.push('</Update>');
+  return lines.join('\n');
+}
+
+export function serializeReleaseNotes(doc) {
+  let out = doc.hasFrontmatter === false ? '' : serializeFrontmatter(doc.frontmatter, doc.frontmatterSource);
+  for (const update of doc.updates) {
+    out += update.leading + serializeUpdate(update);
+  }
+  return out + doc.trailing;
+}
+
+// ---------------------------------------------------------------------------
+// Building and querying
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds a standard four-bucket Update. `buckets` maps each bucket to
+ * bullets ({ text, links }); empty buckets get the placeholder sentence.
+ */
+export function createUpdate({ label, description, tags, buckets }) {
+  const sections = Object.entries(BUCKET_TO_HEADING).map(([bucket, heading]) => {
+    const bullets = (buckets[bucket] || []).map((b) => ({ type: 'bullet', text: b.text, links: b.links }));
+    const body = bullets.length > 0 ? bullets : [{ type: 'text', text: EMPTY_BUCKET_TEXT[bucket] }];
+    return {
+      heading,
+      bucket,
+      lines: [{ type: 'text', text: '' }, ...body, { type: 'text', text: '' }],
+    };
+  });
+  return { label, description, tags: [...tags], leading: '\n\n', intro: [''], sections };
+}
+
+export function createReleaseNotesDoc(frontmatter, updates = []) {
+  return { frontmatter: { ...frontmatter }, updates, trailing: '\n', hasFrontmatter: true, frontmatterSource: null };
+}
+
+// Bullets of one bucket, across every section mapped to it
+export function bulletsIn(update, bucket) {
+  return update.sections
+    .filter((s) => s.bucket === bucket)
+    .flatMap((s) => s.lines.filter((l) => l.type === 'bullet'));
+}
+
+// The generator's dedupe key: one Update per version (description) and repo (single tag)
+export function findUpdate(doc, description, tag) {
+  return doc.updates.find((u) => u.description === description && u.tags.length === 1 && u.tags[0] === tag) || null;
+}
+
+// Inserts updates above the first existing one. Whatever sat before that
+// block (intro prose, imports) stays above the new ones.
+export function prependUpdates(doc, updates) {
+  if (updates.length === 0) return;
+  const first = doc.updates[0];
+  const added = updates.map((u) => ({ ...u, leading: '\n\n' }));
+  if (first) {
+    added[0].leading = first.leading;
+    first.leading = '\n\n';
+  } else {
+    doc.trailing = doc.trailing.trim() ? '\n\n' + doc.trailing.replace(/^\n+/, '') : '\n';
+  }
+  doc.updates.unshift(...added);
+}
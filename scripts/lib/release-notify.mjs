@@ -0,0 +1,421 @@
+/**
+ * Release announcements rendered from the release's <Update> blocks and sent
+ * to any number of sinks (Slack, Microsoft Teams, a generic JSON webhook,
+ * email over SMTP).
+ *
+ *   buildReleaseMessage(updates, { version, apps, pageUrl, topNewItems, note, auditItems })
+ *                                 → ReleaseMessage
+ *   renderPlainText(message)      → the message as plain text (email, webhook "text")
+ *   createSlackSink({ webhookUrl, mention })
+ *   createTeamsSink({ webhookUrl })
+ *   createWebhookSink({ url, token })
+ *   createEmailSink({ host, port, secure, user, pass, from, to })
+ *   sinksFromEnv(env, options)    → the sinks whose env vars are set (see notify-release.mjs)
+ *   sendMail(options)             → Promise; minimal SMTP client (STARTTLS, AUTH PLAIN)
+ *
+ * Every sink has the same shape:
+ *
+ *   sink.name
+ *   sink.format(message) → what would be sent (JSON payload, or the email's headers and text)
+ *   sink.send(message)   → Promise, rejects when delivery fails
+ *
+ *   ReleaseMessage = {
+ *     version, title, apps: [names], url,
+ *     counts: { new, improved, fixed, action },
+ *     topNew: Bullet[], moreNew,    // first `topNewItems` New bullets, and how many were left out
+ *     action: Bullet[],             // every Action required bullet
+ *     note, auditItems,             // optional extra line; docs-audit items to review
+ *   }
+ *   Bullet = { text (markdown, absolute links), links: [{ number, url }] }
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import { once } from 'node:events';
+import { bulletsIn, BUCKET_TO_HEADING } from './release-notes-mdx.mjs';
+import { appForTag } from './release-feeds.mjs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+export const DEFAULT_TOP_NEW_ITEMS = 5;
+
+const DEFAULT_TIMEOUT_MS = 15_000;
+
+const BUCKET_LABELS = { new: 'new', improved: 'improved', fixed: 'fixed', action: 'action required' };
+
+// ---------------------------------------------------------------------------
+// Message
+// ---------------------------------------------------------------------------
+function absoluteLinks(markdown, origin) {
+  return markdown.replace(/\]\((\/[^()\s]*)\)/g, (_, url) => `](${origin}${url})`);
+}
+
+// The same bullet in two apps' blocks (a shared PR) is listed once
+function uniqueBullets(updates, bucket, origin) {
+  const seen = new Set();
+  const bullets = [];
+  for (const line of updates.flatMap((u) => bulletsIn(u, bucket))) {
+    if (seen.has(line.text)) continue;
+    seen.add(line.text);
+    bullets.push({ text: absoluteLinks(line.text, origin), links: line.links });
+  }
+  return bullets;
+}
+
+export function buildReleaseMessage(updates, { version, apps, pageUrl, topNewItems = DEFAULT_TOP_NEW_ITEMS, note = '', auditItems = null }) {
+  if (updates.length === 0) throw new Error(`No <Update> blocks for ${version} to announce`);
+  const origin = new URL(pageUrl).origin;
+
+  const appIds = Object.keys(apps);
+  const names = [...new Set(updates.flatMap((u) => u.tags).map((tag) => {
+    const app = appForTag(tag, appIds);
+    return app ? apps[app].name || app : tag;
+  }))];
+
+  const buckets = Object.fromEntries(Object.keys(BUCKET_TO_HEADING).map((b) => [b, uniqueBullets(updates, b, origin)]));
+  return {
+    version,
+    title: `${version} released${names.length > 0 ? ` for the ${names.join(', ')}` : ''}`,
+    apps: names,
+    url: pageUrl,
+    counts: Object.fromEntries(Object.entries(buckets).map(([b, bullets]) => [b, bullets.length])),
+    topNew: buckets.new.slice(0, topNewItems),
+    moreNew: Math.max(0, buckets.new.length - topNewItems),
+    action: buckets.action,
+    note,
+    auditItems,
+  };
+}
+
+function countsLine(counts) {
+  const parts = Object.entries(counts).filter(([, n]) => n > 0).map(([b, n]) => `${n} ${BUCKET_LABELS[b]}`);
+  return parts.length > 0 ? parts.join(' · ') : 'No user-facing changes';
+}
+
+function auditLine(auditItems) {
+  return `Docs audit: ${auditItems} item(s) to review in audit-report.md`;
+}
+
+// ---------------------------------------------------------------------------
+// Renderers
+// ---------------------------------------------------------------------------
+function plainInline(markdown) {
+  return markdown
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^()\s]+)\)/g, '$1 ($2)');
+}
+
+function plainRefs(links) {
+  return links.length > 0 ? ` (${links.map((l) => `#${l.number}`).join(', ')})` : '';
+}
+
+export function renderPlainText(message) {
+  const lines = [message.title, countsLine(message.counts), ''];
+  if (message.topNew.length > 0) {
+    lines.push('New');
+    lines.push(...message.topNew.map((b) => `- ${plainInline(b.text)}${plainRefs(b.links)}`));
+    if (message.moreNew > 0) lines.push(`- ...and ${message.moreNew} more`);
+    lines.push('');
+  }
+  if (message.action.length > 0) {
+    lines.push('Action required');
+    lines.push(...message.action.map((b) => `- ${plainInline(b.text)}${plainRefs(b.links)}`));
+    lines.push('');
+  }
+  lines.push(`Release notes: ${message.url}`);
+  if (message.auditItems !== null) lines.push(auditLine(message.auditItems));
+  if (message.note) lines.push('', message.note);
+  return lines.join('\n');
+}
+
+// Slack mrkdwn: *bold*, <url|text>, and &, <, > escaped
+function slackInline(markdown) {
+  return markdown
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/\[([^\]]+)\]\(([^()\s]+)\)/g, '<$2|$1>');
+}
+
+function slackRefs(links) {
+  return links.length > 0 ? ` (${links.map((l) => `<${l.url}|#${l.number}>`).join(', ')})` : '';
+}
+
+function renderSlack(message, mention) {
+  const lines = [`${mention ? `${mention} ` : ''}:rocket: *${slackInline(message.title)}*`, countsLine(message.counts), ''];
+  if (message.topNew.length > 0) {
+    lines.push('*New*');
+    lines.push(...message.topNew.map((b) => `• ${slackInline(b.text)}${slackRefs(b.links)}`));
+    if (message.moreNew > 0) lines.push(`• _…and ${message.moreNew} more_`);
+    lines.push('');
+  }
+  if (message.action.length > 0) {
+    lines.push(':warning: *Action required*');
+    lines.push(...message.action.map((b) => `• ${slackInline(b.text)}${slackRefs(b.links)}`));
+    lines.push('');
+  }
+  lines.push(`<${message.url}|:clipboard: View release notes>`);
+  if (message.auditItems !== null) lines.push(`:mag: ${auditLine(message.auditItems)}`);
+  if (message.note) lines.push('', slackInline(message.note));
+  return { text: lines.join('\n'), unfurl_links: false };
+}
+
+// Adaptive Card text supports **bold** and [links](url), but not `code`
+function teamsInline(markdown) {
+  return markdown.replace(/`([^`]+)`/g, '$1');
+}
+
+function teamsRefs(links) {
+  return links.length > 0 ? ` (${links.map((l) => `[#${l.number}](${l.url})`).join(', ')})` : '';
+}
+
+function renderTeams(message) {
+  const text = (value, extra = {}) => ({ type: 'TextBlock', text: value, wrap: true, ...extra });
+  const bullet = (b) => text(`• ${teamsInline(b.text)}${teamsRefs(b.links)}`, { spacing: 'None' });
+  const body = [
+    text(message.title, { size: 'Large', weight: 'Bolder' }),
+    text(countsLine(message.counts), { isSubtle: true, spacing: 'None' }),
+  ];
+  if (message.topNew.length > 0) {
+    body.push(text('New', { weight: 'Bolder' }), ...message.topNew.map(bullet));
+    if (message.moreNew > 0) body.push(text(`…and ${message.moreNew} more`, { isSubtle: true, spacing: 'None' }));
+  }
+  if (message.action.length > 0) {
+    body.push(text('Action required', { weight: 'Bolder', color: 'Warning' }), ...message.action.map(bullet));
+  }
+  if (message.auditItems !== null) body.push(text(auditLine(message.auditItems), { isSubtle: true }));
+  if (message.note) body.push(text(teamsInline(message.note)));
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        actions: [{ type: 'Action.OpenUrl', title: 'View release notes', url: message.url }],
+      },
+    }],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HTTP sinks
+// ---------------------------------------------------------------------------
+async function postJson(url, payload, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) {
+    const body = (await res.text()).slice(0, 200);
+    throw new Error(`${res.status} ${res.statusText}${body ? `: ${body}` : ''}`);
+  }
+}
+
+export function createSlackSink({ webhookUrl, mention = '', timeoutMs }) {
+  if (!webhookUrl) throw new Error('The slack sink needs a webhook URL');
+  return {
+    name: 'slack',
+    format: (message) => renderSlack(message, mention),
+    send: (message) => postJson(webhookUrl, renderSlack(message, mention), { timeoutMs }),
+  };
+}
+
+export function createTeamsSink({ webhookUrl, timeoutMs }) {
+  if (!webhookUrl) throw new Error('The teams sink needs a webhook URL');
+  return {
+    name: 'teams',
+    format: renderTeams,
+    send: (message) => postJson(webhookUrl, renderTeams(message), { timeoutMs }),
+  };
+}
+
+// The whole message as JSON, plus a plain-text rendering, for anything else to consume
+function renderWebhook(message) {
+  return { event: 'release-notes.published', ...message, text: renderPlainText(message) };
+}
+
+export function createWebhookSink({ url, token, timeoutMs }) {
+  if (!url) throw new Error('The webhook sink needs a URL');
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  return {
+    name: 'webhook',
+    format: renderWebhook,
+    send: (message) => postJson(url, renderWebhook(message), { headers, timeoutMs }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// SMTP
+// ---------------------------------------------------------------------------
+// Reads SMTP replies ("250-first line", ..., "250 last line") off a socket;
+// use() switches to the TLS socket after STARTTLS
+function createReplyReader() {
+  let socket = null;
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!waiting) return;
+    const lines = buffer.split('\r\n');
+    const end = lines.findIndex((line, i) => i < lines.length - 1 && /^\d{3}(?: |$)/.test(line));
+    if (end !== -1) {
+      buffer = lines.slice(end + 1).join('\r\n');
+      const reply = { code: Number(lines[end].slice(0, 3)), text: lines.slice(0, end + 1).map((l) => l.slice(4)) };
+      const { resolve } = waiting;
+      waiting = null;
+      resolve(reply);
+    } else if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  };
+  const onData = (chunk) => { buffer += chunk; settle(); };
+  const onError = (err) => { failure = err; settle(); };
+  const onClose = () => { failure = failure || new Error('connection closed'); settle(); };
+
+  return {
+    use(next) {
+      if (socket) {
+        // The plain socket now sits under the TLS one, which reports its errors
+        socket.on('error', () => {});
+        socket.off('data', onData);
+        socket.off('error', onError);
+        socket.off('close', onClose);
+      }
+      socket = next;
+      socket.setEncoding('utf8');
+      socket.on('data', onData);
+      socket.on('error', onError);
+      socket.on('close', onClose);
+    },
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        settle();
+      });
+    },
+  };
+}
+
+function encodeHeader(value) {
+  // RFC 2047 for anything beyond plain ASCII (e.g. an emoji in the subject)
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+// "Revive <notes@example.com>" → "notes@example.com"
+function emailAddress(mailbox) {
+  return mailbox.replace(/^.*<|>$/g, '').trim();
+}
+
+function formatEmail({ from, to, subject, text, date = new Date() }) {
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${emailAddress(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body,
+  ].join('\r\n');
+}
+
+/**
+ * Sends one plain-text email. Upgrades to TLS when the server offers
+ * STARTTLS (or connects with TLS when `secure`), and refuses to send a
+ * password over an unencrypted connection unless `allowInsecureAuth`.
+ */
+export async function sendMail({ host, port = 587, secure = false, user, pass, from, to, subject, text, timeoutMs = DEFAULT_TIMEOUT_MS, allowInsecureAuth = false }) {
+  const reader = createReplyReader();
+  let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP ${host}:${port} timed out`)));
+  reader.use(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (![].concat(expected).includes(reply.code)) {
+      const shown = line?.startsWith('AUTH') ? 'AUTH PLAIN' : line;
+      throw new Error(`SMTP ${shown || 'greeting'} failed: ${reply.code} ${reply.text.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, 220);
+    const clientName = os.hostname() || 'localhost';
+    let ehlo = await command(`EHLO ${clientName}`, 250);
+    let encrypted = secure;
+    if (!secure && ehlo.text.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command('STARTTLS', 220);
+      socket = tls.connect({ socket, servername: host });
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP ${host}:${port} timed out`)));
+      reader.use(socket);
+      await once(socket, 'secureConnect');
+      encrypted = true;
+      ehlo = await command(`EHLO ${clientName}`, 250);
+    }
+    if (user) {
+      if (!encrypted && !allowInsecureAuth) throw new Error(`SMTP ${host}:${port} offers no TLS; refusing to send the password in plain text`);
+      await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, 235);
+    }
+    await command(`MAIL FROM:<${emailAddress(from)}>`, 250);
+    for (const address of to) await command(`RCPT TO:<${address}>`, [250, 251]);
+    await command('DATA', 354);
+    // Dot-stuffing: a line starting with "." gets a second one
+    const data = formatEmail({ from, to, subject, text }).replace(/^\./gm, '..');
+    await command(`${data}\r\n.`, 250);
+    await command('QUIT', 221).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+function renderEmail(message, from, to) {
+  return { from, to, subject: message.title, text: renderPlainText(message) };
+}
+
+export function createEmailSink({ host, port, secure, user, pass, from, to, timeoutMs, allowInsecureAuth }) {
+  if (!host || !from || !to || to.length === 0) throw new Error('The email sink needs an SMTP host, a from address and at least one recipient');
+  return {
+    name: 'email',
+    format: (message) => renderEmail(message, from, to),
+    send: (message) => sendMail({ host, port, secure, user, pass, timeoutMs, allowInsecureAuth, ...renderEmail(message, from, to) }),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Selection
+// ---------------------------------------------------------------------------
+// Secrets come from the environment only; `options` is config "notify"
+export function sinksFromEnv(env = process.env, options = {}) {
+  const sinks = [];
+  if (env.SLACK_WEBHOOK_URL) sinks.push(createSlackSink({ webhookUrl: env.SLACK_WEBHOOK_URL, mention: options.slackMention }));
+  if (env.TEAMS_WEBHOOK_URL) sinks.push(createTeamsSink({ webhookUrl: env.TEAMS_WEBHOOK_URL }));
+  if (env.RELEASE_WEBHOOK_URL) sinks.push(createWebhookSink({ url: env.RELEASE_WEBHOOK_URL, token: env.RELEASE_WEBHOOK_TOKEN }));
+  if (env.SMTP_HOST) {
+    sinks.push(createEmailSink({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM,
+      to: (env.SMTP_TO || '').split(',').map((s) => s.trim()).filter(Boolean),
+    }));
+  }
+  return sinks;
+}
@@ -0,0 +1,106 @@
+/**
+ * Semantic versions for release tags like api-v3.3.0, dashboard-v2.5.0 and
+ * v1.81.0 (no dependencies). Follows semver 2.0.0 precedence, including
+ * pre-release identifiers (api-v3.3.0-rc.1 < api-v3.3.0); build metadata is
+ * ignored when comparing.
+ *
+ *   parseSemver(text)               → { major, minor, patch, prerelease: [], build } | null
+ *   compareSemver(a, b)             → negative, 0 or positive
+ *   parseReleaseTag(tag, tagPrefix) → { tag, version } | null when the tag is not <tagPrefix><semver>
+ *   previousReleaseTag(tags, current, tagPrefix)
+ *                                   → highest stable tag below `current`, by semver, or null
+ *   monotonicityError(releases, current, tagPrefix)
+ *                                   → message when a release published before `current`
+ *                                     has a higher version, else null
+ */
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+// https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string
+const SEMVER_RE = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+export function parseSemver(text) {
+  const m = String(text).match(SEMVER_RE);
+  if (!m) return null;
+  return {
+    major: Number(m[1]),
+    minor: Number(m[2]),
+    patch: Number(m[3]),
+    prerelease: m[4] ? m[4].split('.') : [],
+    build: m[5] || '',
+  };
+}
+
+export function parseReleaseTag(tag, tagPrefix) {
+  if (typeof tag !== 'string' || !tag.startsWith(tagPrefix)) return null;
+  const version = parseSemver(tag.slice(tagPrefix.length));
+  return version ? { tag, version } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Ordering
+// ---------------------------------------------------------------------------
+function compareIdentifiers(a, b) {
+  const numA = /^\d+$/.test(a);
+  const numB = /^\d+$/.test(b);
+  if (numA && numB) return Number(a) - Number(b);
+  // Numeric identifiers always have lower precedence than alphanumeric ones
+  if (numA !== numB) return numA ? -1 : 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export function compareSemver(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] - b[key];
+  }
+  // A pre-release sorts before the release it leads up to
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    if (a.prerelease[i] === undefined) return -1;
+    if (b.prerelease[i] === undefined) return 1;
+    const c = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (c !== 0) return c;
+  }
+  return 0;
+}
+
+/**
+ * The release before `current` is the highest stable version below it, no
+ * matter where GitHub lists it. Malformed and pre-release tags never count.
+ */
+export function previousReleaseTag(tags, current, tagPrefix) {
+  const cur = parseReleaseTag(current, tagPrefix);
+  if (!cur) return null;
+  let best = null;
+  for (const tag of tags) {
+    const parsed = parseReleaseTag(tag, tagPrefix);
+    if (!parsed || parsed.version.prerelease.length > 0) continue;
+    if (compareSemver(parsed.version, cur.version) >= 0) continue;
+    if (!best || compareSemver(parsed.version, best.version) > 0) best = parsed;
+  }
+  return best ? best.tag : null;
+}
+
+/**
+ * Versions must only go up: any stable release of the same app published
+ * before `current` needs a lower version. `releases` are { tag, publishedAt };
+ * when `current` has not been published yet, every listed release counts.
+ */
+export function monotonicityError(releases, current, tagPrefix) {
+  const cur = parseReleaseTag(current, tagPrefix);
+  if (!cur) return null;
+  const own = releases.find((r) => r.tag === current);
+  for (const release of releases) {
+    if (release.tag === current) continue;
+    const parsed = parseReleaseTag(release.tag, tagPrefix);
+    if (!parsed || parsed.version.prerelease.length > 0) continue;
+    if (own?.publishedAt && release.publishedAt && release.publishedAt > own.publishedAt) continue;
+    if (compareSemver(parsed.version, cur.version) >= 0) {
+      return `${current} is not newer than ${release.tag}, which was released first`;
+    }
+  }
+  return null;
+}
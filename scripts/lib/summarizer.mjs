@@ -0,0 +1,189 @@
+/**
+ * Summarizers turn a PR's developer-facing bullets into one customer-facing
+ * bullet per bucket, in the style of the hand-edited May 2026 entries:
+ *
+ *   - **PDF download for preliminary estimates.** A one-click PDF export is available from …
+ *
+ * Every summarizer has the same shape:
+ *
+ *   summarizer.name
+ *   summarizer.summarize({ title, body, bucket, app, appName, bullets })
+ *     → { headline, sentence } | null   (sync or Promise)
+ *
+ * where `bullets` are the PR's extracted bullets for `bucket`. null means
+ * there is nothing to add to them, and they are kept as they are.
+ *
+ *   createRuleSummarizer()          → deterministic, no network: the PR title as the
+ *                                     headline, the first sentence of its first bullet
+ *                                     as the sentence (the default)
+ *   createLlmSummarizer({ endpoint, token, timeoutMs, fallback })
+ *                                   → POSTs the input (plus STYLE_EXAMPLES) as JSON to
+ *                                     an external endpoint that answers { headline, sentence };
+ *                                     falls back to the rule summarizer on any failure
+ *   createSummarizer(options, env)  → the summarizer named by config "summarizer" or
+ *                                     RELEASE_SUMMARIZER (rules, the default | llm | none);
+ *                                     null for none
+ *   formatSummary({ headline, sentence }) → "**Headline.** Sentence."
+ *   summarizeEntry(entry, pr, app, summarizer, appName)
+ *                                   → rewrites the entry's buckets in place; author-written
+ *                                     "## Release notes" entries are left untouched
+ *
+ * Near-duplicate bullets across PRs are merged before summarizing (see
+ * mergeEntryBullets in release-notes-core.mjs), so a summary cites every
+ * PR its bullets came from. Action required bullets are never summarized:
+ * each one is something a customer has to do.
+ */
+
+import { cleanPRTitle } from './release-notes-core.mjs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+// Hand-edited bullets from release-notes/may-2026.mdx, sent to the LLM endpoint as the target style
+export const STYLE_EXAMPLES = [
+  '**PDF download for preliminary estimates.** A one-click PDF export is available from the preliminary estimate view, with an address-based filename so files are easy to find and share.',
+  '**Smarter check type for auth-gated endpoints.** Services that legitimately reject anonymous requests (like PandaDoc and AnyProp) are no longer flagged as down on a `401` or `403`.',
+  '**Vercel build stability.** Resolved module-resolution issues that intermittently broke dashboard and admin deployments on Vercel.',
+];
+
+// Leading verbs that make a PR title read like a commit instead of a headline
+const TITLE_VERB_RE = /^(?:add(?:s|ed)?|implement(?:s|ed)?|introduce[sd]?|support(?:s|ed)?|create[sd]?|enable[sd]?|update[sd]?|improve[sd]?|fix(?:es|ed)?|resolve[sd]?|refactor(?:s|ed)?)\s+/i;
+
+const DEFAULT_LLM_TIMEOUT_MS = 20_000;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function trimEnd(text) {
+  return text.trim().replace(/[.:;,\s]+$/, '');
+}
+
+function endSentence(text) {
+  const t = capitalize(text.trim());
+  return /[.!?]$/.test(t) ? t : `${t}.`;
+}
+
+// "Resolved X. For users: Y." → "Resolved X."
+function firstSentence(text) {
+  return text.trim().match(/^.+?[.!?](?=\s+[A-Z])/)?.[0] || text.trim();
+}
+
+function sameWords(a, b) {
+  const norm = (t) => t.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return norm(a) === norm(b);
+}
+
+function uniqueLinks(links) {
+  return links.filter((link, i) => links.findIndex((l) => l.url === link.url) === i);
+}
+
+export function formatSummary({ headline, sentence }) {
+  return `**${trimEnd(headline)}.** ${endSentence(sentence)}`;
+}
+
+function isValidSummary(result) {
+  return Boolean(result)
+    && typeof result.headline === 'string' && trimEnd(result.headline) !== ''
+    && typeof result.sentence === 'string' && result.sentence.trim() !== '';
+}
+
+// ---------------------------------------------------------------------------
+// Rule-based summarizer (the default)
+// ---------------------------------------------------------------------------
+function ruleHeadline(title) {
+  const cleaned = cleanPRTitle(title)
+    .replace(/\s*\(#\d+\)$/, '')
+    .replace(/^\[[A-Z]+-\d+\]\s*/, '')
+    .replace(TITLE_VERB_RE, '');
+  return capitalize(trimEnd(cleaned));
+}
+
+export function createRuleSummarizer() {
+  return {
+    name: 'rules',
+    summarize({ title, bullets }) {
+      const headline = ruleHeadline(title) || 'Update';
+      // A "**Topic:** detail" bullet already carries its own headline
+      const details = bullets.map((b) => b.replace(/^\*\*[^*]+:\*\*\s*/, '')).filter((b) => !sameWords(b.replace(TITLE_VERB_RE, ''), headline));
+      // A bullet that only repeats the title is better left alone than padded
+      if (details.length === 0) return null;
+      // One short sentence, as in the May 2026 entries; every bullet stays on entry.details
+      return { headline, sentence: endSentence(firstSentence(details[0])) };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// External LLM endpoint
+// ---------------------------------------------------------------------------
+export function createLlmSummarizer({ endpoint, token, timeoutMs = DEFAULT_LLM_TIMEOUT_MS, fallback = createRuleSummarizer() }) {
+  if (!endpoint) throw new Error('The llm summarizer needs an endpoint (config summarizer.endpoint or RELEASE_SUMMARIZER_URL)');
+
+  return {
+    name: 'llm',
+    async summarize(input) {
+      try {
+        const res = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          body: JSON.stringify({ ...input, examples: STYLE_EXAMPLES }),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        const result = await res.json();
+        if (!isValidSummary(result)) throw new Error('response is missing headline or sentence');
+        return { headline: result.headline, sentence: result.sentence };
+      } catch (err) {
+        console.warn(`  ⚠ Summarizer endpoint failed for "${input.title}" (${err.message}) — using ${fallback.name}.`);
+        return fallback.summarize(input);
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Selection and use
+// ---------------------------------------------------------------------------
+export function createSummarizer(options = {}, env = process.env) {
+  const provider = env.RELEASE_SUMMARIZER || options.provider || 'rules';
+  if (provider === 'none') return null;
+  if (provider === 'rules') return createRuleSummarizer();
+  if (provider === 'llm') {
+    return createLlmSummarizer({
+      endpoint: env.RELEASE_SUMMARIZER_URL || options.endpoint,
+      token: env.RELEASE_SUMMARIZER_TOKEN,
+      timeoutMs: options.timeoutMs,
+    });
+  }
+  throw new Error(`Unknown summarizer "${provider}" (expected rules, llm or none)`);
+}
+
+/**
+ * Replaces each non-empty New, Improved and Fixed bucket of a
+ * buildReleaseEntry() entry with one summarized bullet, citing every PR its bullets came from. The extracted
+ * bullets stay on `entry.details` so --json output still shows what the
+ * summary was written from.
+ */
+export async function summarizeEntry(entry, pr, app, summarizer, appName = app) {
+  if (!summarizer || entry.source === 'release-notes') return entry;
+
+  entry.details = {};
+  for (const bucket of ['new', 'improved', 'fixed']) {
+    const bullets = entry[bucket];
+    if (bullets.length === 0) continue;
+    entry.details[bucket] = bullets;
+    const result = await summarizer.summarize({ title: pr.title || '', body: pr.body || '', bucket, app, appName, bullets });
+    if (!result) continue;
+    entry[bucket] = [formatSummary(result)];
+    if (entry.bulletLinks?.[bucket]) entry.bulletLinks[bucket] = [uniqueLinks(entry.bulletLinks[bucket].flat())];
+  }
+  entry.summarizer = summarizer.name;
+  return entry;
+}
@@ -0,0 +1,86 @@
+/**
+ * Minimal unified diff for previewing file changes (no dependencies).
+ *
+ *   unifiedDiff(before, after, { fromFile, toFile, context }) → string
+ *
+ * Common leading/trailing lines are trimmed before the LCS pass, so the
+ * typical release-notes change (blocks prepended near the top of a large
+ * file) stays cheap. Returns '' when the inputs are identical.
+ */
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Line-level edit script: [{ op: ' ' | '-' | '+', line }]
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // LCS table over the changed middle only
+  const n = midA.length;
+  const m = midB.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map((line) => ({ op: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && midA[i] === midB[j]) { ops.push({ op: ' ', line: midA[i] }); i++; j++; }
+    else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) { ops.push({ op: '+', line: midB[j] }); j++; }
+    else { ops.push({ op: '-', line: midA[i] }); i++; }
+  }
+  for (const line of a.slice(endA)) ops.push({ op: ' ', line });
+  return ops;
+}
+
+export function unifiedDiff(before, after, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  if (before === after) return '';
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  // Group changed lines into hunks with `context` lines around them
+  const hunks = [];
+  let current = null;
+  let lineA = 1;
+  let lineB = 1;
+  ops.forEach((o, idx) => {
+    const changed = o.op !== ' ';
+    const nearChange = ops.slice(Math.max(0, idx - context), idx + context + 1).some((x) => x.op !== ' ');
+    if (changed || nearChange) {
+      if (!current) {
+        current = { startA: lineA, startB: lineB, countA: 0, countB: 0, lines: [] };
+        hunks.push(current);
+      }
+      current.lines.push(`${o.op}${o.line}`);
+      if (o.op !== '+') current.countA++;
+      if (o.op !== '-') current.countB++;
+    } else {
+      current = null;
+    }
+    if (o.op !== '+') lineA++;
+    if (o.op !== '-') lineB++;
+  });
+
+  const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const h of hunks) {
+    const startA = h.countA === 0 ? h.startA - 1 : h.startA;
+    const startB = h.countB === 0 ? h.startB - 1 : h.startB;
+    out.push(`@@ -${startA},${h.countA} +${startB},${h.countB} @@`);
+    out.push(...h.lines);
+  }
+  return out.join('\n') + '\n';
+}
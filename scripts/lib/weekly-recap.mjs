@@ -0,0 +1,132 @@
+/**
+ * Weekly recap blocks: one "Week of <Monday>" <Update> that rolls up every
+ * dated release entry of an ISO week, bucket by bucket.
+ *
+ *   parseIsoWeek(spec)              → { year, week, start, end } for "2026-W21" or any YYYY-MM-DD in the week
+ *   isoWeekOf(date)                 → same, for a Date
+ *   parseDateLabel(label)           → Date (UTC noon) for "May 25, 2026", else null
+ *   isWeeklyRecap(update)           → true for "Weekly recap" blocks
+ *   weekLabel(week)                 → "Week of May 18, 2026"
+ *   updatesInWeek(doc, week)        → the doc's dated (non-recap) Updates in that week
+ *   buildWeeklyRecap(updates, week, { threshold }) → Update model (release-notes-mdx.mjs)
+ *   upsertWeeklyRecap(doc, recap, week, { overwrite })
+ *                                   → 'inserted' | 'replaced' | 'unchanged' | 'skipped' | null (no entries that week)
+ */
+
+import { BUCKET_TO_HEADING, bulletsIn, createUpdate, serializeUpdate } from './release-notes-mdx.mjs';
+import { DEFAULT_SIMILARITY_THRESHOLD, mergeSimilarBullets } from './bullet-similarity.mjs';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+export const RECAP_DESCRIPTION = 'Weekly recap';
+
+export const RECAP_INTRO = 'A skim-friendly recap of what shipped this week. See the dated entries below for full details.';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// ISO weeks
+// ---------------------------------------------------------------------------
+// Weeks start on Monday; week 1 is the week containing the year's first Thursday
+export function isoWeekOf(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  const start = new Date(day.getTime() - (weekday - 1) * DAY_MS);
+  const thursday = new Date(start.getTime() + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday.getTime() - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+  return { year, week, start, end: new Date(start.getTime() + 7 * DAY_MS) };
+}
+
+export function parseIsoWeek(spec) {
+  const m = String(spec).match(/^(\d{4})-W(\d{1,2})$/i);
+  if (m) {
+    const year = Number(m[1]);
+    const week = Number(m[2]);
+    // January 4th is always in week 1
+    const result = isoWeekOf(new Date(Date.UTC(year, 0, 4 + (week - 1) * 7)));
+    if (week < 1 || result.year !== year || result.week !== week) throw new Error(`Invalid ISO week: ${spec}`);
+    return result;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(spec)) {
+    const d = new Date(`${spec}T12:00:00Z`);
+    if (!Number.isNaN(d.getTime())) return isoWeekOf(d);
+  }
+  throw new Error(`Invalid week: ${spec} (expected e.g. 2026-W21 or 2026-05-18)`);
+}
+
+export function parseDateLabel(label) {
+  const m = label.match(/^([A-Z][a-z]+) (\d{1,2}), (\d{4})$/);
+  if (!m || !MONTHS.includes(m[1])) return null;
+  return new Date(Date.UTC(Number(m[3]), MONTHS.indexOf(m[1]), Number(m[2]), 12));
+}
+
+function inWeek(date, week) {
+  return date >= week.start && date < week.end;
+}
+
+export function weekLabel(week) {
+  const { start } = week;
+  return `Week of ${MONTHS[start.getUTCMonth()]} ${start.getUTCDate()}, ${start.getUTCFullYear()}`;
+}
+
+// ---------------------------------------------------------------------------
+// Selecting and merging entries
+// ---------------------------------------------------------------------------
+export function isWeeklyRecap(update) {
+  return update.description === RECAP_DESCRIPTION;
+}
+
+export function updatesInWeek(doc, week) {
+  return doc.updates.filter((u) => {
+    if (isWeeklyRecap(u)) return false;
+    const date = parseDateLabel(u.label);
+    return date !== null && inWeek(date, week);
+  });
+}
+
+/**
+ * Builds the recap for one week from its dated Updates (newest first, as
+ * they appear on the page). The same bullet shipped by several apps is
+ * listed once, citing every PR; tags are the union of the entries' tags.
+ */
+export function buildWeeklyRecap(updates, week, { threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) {
+  const buckets = {};
+  for (const bucket of Object.keys(BUCKET_TO_HEADING)) {
+    buckets[bucket] = mergeSimilarBullets(updates.flatMap((u) => bulletsIn(u, bucket)), { threshold }).bullets;
+  }
+
+  const tags = [...new Set(updates.flatMap((u) => u.tags))];
+  const recap = createUpdate({ label: weekLabel(week), description: RECAP_DESCRIPTION, tags, buckets });
+  recap.intro = ['', RECAP_INTRO, ''];
+  return recap;
+}
+
+// ---------------------------------------------------------------------------
+// Placing the recap
+// ---------------------------------------------------------------------------
+/**
+ * Puts `recap` at the top of the week's entries in `doc`. A recap already
+ * there with the same label is kept (it may have been edited by hand) unless
+ * `overwrite` is set, in which case it is replaced in place.
+ */
+export function upsertWeeklyRecap(doc, recap, week, { overwrite = false } = {}) {
+  const existing = doc.updates.find((u) => isWeeklyRecap(u) && u.label === recap.label);
+  if (existing) {
+    if (serializeUpdate(existing) === serializeUpdate(recap)) return 'unchanged';
+    if (!overwrite) return 'skipped';
+    doc.updates[doc.updates.indexOf(existing)] = { ...recap, leading: existing.leading };
+    return 'replaced';
+  }
+
+  const [first] = updatesInWeek(doc, week);
+  if (!first) return null;
+  const idx = doc.updates.indexOf(first);
+  doc.updates.splice(idx, 0, { ...recap, leading: first.leading });
+  first.leading = '\n\n';
+  return 'inserted';
+}
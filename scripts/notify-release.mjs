@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Announces a release to every configured sink — Slack, Microsoft Teams, a
+ * generic JSON webhook and email over SMTP. The message is rendered from the
+ * release's <Update> blocks in release-notes.mdx: counts per bucket, the top
+ * New items and every Action required item, with a link to the page.
+ *
+ * Usage:
+ *   RELEASE_VERSION=api-v3.3.0 SLACK_WEBHOOK_URL=... node scripts/notify-release.mjs [--dry-run]
+ *
+ * Flags:
+ *   --dry-run  Print what each sink would send (or the plain-text message when
+ *              no sink is configured) instead of sending it.
+ *
+ * Environment (a sink is on when its first variable is set):
+ *   RELEASE_VERSION        Version whose <Update> blocks are announced (required).
+ *   SLACK_WEBHOOK_URL      Slack incoming webhook.
+ *   TEAMS_WEBHOOK_URL      Microsoft Teams workflow webhook (Adaptive Card).
+ *   RELEASE_WEBHOOK_URL    Generic webhook, POSTed the message as JSON;
+ *                          RELEASE_WEBHOOK_TOKEN is sent as a bearer token if set.
+ *   SMTP_HOST              Email via SMTP, with SMTP_PORT (default 587), SMTP_SECURE=true
+ *                          for implicit TLS (port 465), SMTP_USER, SMTP_PASS, SMTP_FROM
+ *                          and SMTP_TO (comma-separated).
+ *   NOTIFY_AUDIT_REPORT    Path to audit-report.md; its item count is mentioned.
+ *   RELEASE_NOTIFY_NOTE    Extra line appended to every message.
+ *   RELEASE_NOTES_CONFIG   Path to a different release-notes.config.json.
+ *
+ * Every sink is tried; the command fails if any of them did.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseReleaseNotes } from './lib/release-notes-mdx.mjs';
+import { getReleaseNotesConfig } from './lib/release-notes-config.mjs';
+import { buildReleaseMessage, renderPlainText, sinksFromEnv } from './lib/release-notify.mjs';
+
+// ---------------------------------------------------------------------------
+// CLI flags, config and environment
+// ---------------------------------------------------------------------------
+const dryRun = process.argv.slice(2).includes('--dry-run');
+
+const config = getReleaseNotesConfig();
+
+function requiredEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing required env var: ${name}`);
+  return v;
+}
+
+// ---------------------------------------------------------------------------
+// Message inputs
+// ---------------------------------------------------------------------------
+function releaseUpdates(version) {
+  const releaseNotesPath = path.join(process.cwd(), 'release-notes.mdx');
+  if (!fs.existsSync(releaseNotesPath)) {
+    throw new Error(`Release notes page not found: ${releaseNotesPath}`);
+  }
+  const doc = parseReleaseNotes(fs.readFileSync(releaseNotesPath, 'utf8'));
+  const updates = doc.updates.filter((u) => u.description === version);
+  if (updates.length === 0) throw new Error(`No <Update> for ${version} in release-notes.mdx — generate the release notes first.`);
+  return updates;
+}
+
+// "Found **55** item(s) to review" in the report written by audit-docs-on-release.mjs
+function auditItemCount(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  const m = fs.readFileSync(file, 'utf8').match(/Found \*\*(\d+)\*\* item/);
+  return m ? Number(m[1]) : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+async function main() {
+  if (!config.notify) {
+    console.log('No "notify" in the release-notes config — nothing to send.');
+    return;
+  }
+
+  const version = requiredEnv('RELEASE_VERSION');
+  const message = buildReleaseMessage(releaseUpdates(version), {
+    version,
+    apps: config.apps,
+    pageUrl: config.notify.pageUrl,
+    topNewItems: config.notify.topNewItems,
+    note: process.env.RELEASE_NOTIFY_NOTE || '',
+    auditItems: auditItemCount(process.env.NOTIFY_AUDIT_REPORT),
+  });
+  const sinks = sinksFromEnv(process.env, config.notify);
+
+  if (dryRun) {
+    if (sinks.length === 0) {
+      console.log('No sinks configured. The message would read:\n');
+      console.log(renderPlainText(message));
+    }
+    for (const sink of sinks) {
+      console.log(`\n=== ${sink.name} (dry run, not sent) ===\n`);
+      console.log(JSON.stringify(sink.format(message), null, 2));
+    }
+    return;
+  }
+
+  if (sinks.length === 0) {
+    console.log('No notification sinks configured (set SLACK_WEBHOOK_URL, TEAMS_WEBHOOK_URL, RELEASE_WEBHOOK_URL or SMTP_HOST).');
+    return;
+  }
+
+  console.log(`Announcing ${version} to ${sinks.map((s) => s.name).join(', ')}.`);
+  let failed = 0;
+  for (const sink of sinks) {
+    try {
+      await sink.send(message);
+      console.log(`  Sent to ${sink.name}.`);
+    } catch (err) {
+      failed++;
+      console.warn(`  ⚠ ${sink.name} failed: ${err.message}`);
+    }
+  }
+  if (failed > 0) throw new Error(`${failed} of ${sinks.length} notification sink(s) failed`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+/**
+ * backfill-releases.mjs against generate-release-notes.mjs, run fully offline.
+ *
+ * fixtures/backfill-v3.3.0 replays the PRs of the api-v3.3.0 scenario as
+ * revive-api PRs of a legacy v3.3.0 release, so both scripts see the same
+ * PRs and must render the same bullets.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SCRIPTS = path.resolve(__dirname, '..');
+
+// Runs `script` in a copy of `scenario`/input and returns `file` afterwards
+function run(script, scenario, env, file) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `${scenario}-`));
+  fs.cpSync(path.join(FIXTURES, scenario, 'input'), workDir, { recursive: true });
+  const childEnv = { ...process.env, ...env, GITHUB_FIXTURES: path.join(FIXTURES, scenario, 'github') };
+  delete childEnv.GITHUB_TOKEN;
+  delete childEnv.GITHUB_FIXTURES_RECORD;
+  try {
+    execFileSync(process.execPath, [path.join(SCRIPTS, script)], { cwd: workDir, env: childEnv, stdio: 'pipe' });
+    return fs.readFileSync(path.join(workDir, file), 'utf8');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// The body of the <Update> block for `description`, without its opening tag
+function updateBody(text, description) {
+  const m = text.match(new RegExp(`^<Update [^\\n]*description="${description}"[^\\n]*>\\n([\\s\\S]*?)^</Update>$`, 'm'));
+  assert.ok(m, `no <Update> for ${description}`);
+  return m[1];
+}
+
+test('a backfilled note and a generated note for the same PRs are identical', () => {
+  const generated = run('generate-release-notes.mjs', 'api-v3.3.0', { RELEASE_VERSION: 'api-v3.3.0', SOURCE_REPO: 'api' }, 'release-notes.mdx');
+  const backfilled = run('backfill-releases.mjs', 'backfill-v3.3.0', {}, 'release-notes/v3.3.0.mdx');
+
+  // Only the generator writes migration stubs, so only it links to them
+  const withoutMigrationLinks = (body) => body.replace(/ See \[migration notes\]\([^)]*\)\./g, '');
+  const expected = withoutMigrationLinks(updateBody(generated, 'api-v3.3.0'));
+  assert.match(expected, /Split deal service/);
+  assert.equal(updateBody(backfilled, 'v3.3.0'), expected);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBulletText, bulletSimilarity, mergeSimilarBullets } from '../lib/bullet-similarity.mjs';
+
+const link = (n) => ({ number: n, url: `https://github.com/Revive-Home/revive-apps/pull/${n}` });
+
+test('normalizeBulletText drops markdown, punctuation and stopwords', () => {
+  assert.equal(
+    normalizeBulletText('**Faster deal list.** The `GET /v1/deals/` endpoint is now [paginated](/api-reference/deals).'),
+    'faster deal list get /v1/deals/ endpoint paginated',
+  );
+});
+
+test('bulletSimilarity scores rewordings high and different changes low', () => {
+  assert.equal(bulletSimilarity('Improved loading speed of the deal list.', 'Improved the loading speed for the deal list'), 1);
+  assert.ok(bulletSimilarity('Deal list loading speed improved.', 'Improved loading speed of the deal list.') >= 0.8);
+  assert.ok(bulletSimilarity('Added CSV export for deals.', 'Added CSV export for contacts.') < 0.8);
+});
+
+test('mergeSimilarBullets keeps the first position, the longest wording and every link', () => {
+  const { bullets, merges } = mergeSimilarBullets([
+    { text: 'Fixed RMA cutoff timezone.', links: [link(10)] },
+    { text: 'Added vendor payments.', links: [link(11)] },
+    { text: 'Fixed the RMA cutoff timezone', links: [link(12), link(10)] },
+  ]);
+  assert.deepEqual(bullets, [
+    { text: 'Fixed the RMA cutoff timezone', links: [link(10), link(12)] },
+    { text: 'Added vendor payments.', links: [link(11)] },
+  ]);
+  assert.deepEqual(merges, [{
+    text: 'Fixed the RMA cutoff timezone',
+    links: [link(10), link(12)],
+    merged: ['Fixed RMA cutoff timezone.', 'Fixed the RMA cutoff timezone'],
+  }]);
+});
+
+test('mergeSimilarBullets with threshold 1 only merges bullets with the same words', () => {
+  const bullets = [
+    { text: 'Improved deal list loading speed on mobile.', links: [link(1)] },
+    { text: 'Improved loading speed of the deal list.', links: [link(2)] },
+    { text: 'Deal list loading speed improved', links: [link(3)] },
+  ];
+  assert.equal(mergeSimilarBullets(bullets, { threshold: 1 }).bullets.length, 2);
+});
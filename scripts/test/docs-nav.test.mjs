@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  RELEASE_NOTES_GROUP,
+  findNavGroup,
+  addMonthlyReleasePage,
+  addReleaseNotesPage,
+  serializeDocsJson,
+} from '../lib/docs-nav.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function config(pages) {
+  return { navigation: { tabs: [{ tab: 'Release notes', groups: [{ group: RELEASE_NOTES_GROUP, pages: [...pages] }] }] } };
+}
+
+test('addMonthlyReleasePage inserts newest-first after the main page', () => {
+  const c = config(['release-notes', 'release-notes/may-2026', 'release-notes/december-2025']);
+  assert.equal(addMonthlyReleasePage(c, 'release-notes/july-2026'), true);
+  assert.equal(addMonthlyReleasePage(c, 'release-notes/march-2026'), true);
+  assert.equal(addMonthlyReleasePage(c, 'release-notes/january-2025'), true);
+  assert.deepEqual(findNavGroup(c, RELEASE_NOTES_GROUP).pages, [
+    'release-notes',
+    'release-notes/july-2026',
+    'release-notes/may-2026',
+    'release-notes/march-2026',
+    'release-notes/december-2025',
+    'release-notes/january-2025',
+  ]);
+});
+
+test('addMonthlyReleasePage is a no-op for pages already listed', () => {
+  const c = config(['release-notes', 'release-notes/may-2026']);
+  assert.equal(addMonthlyReleasePage(c, 'release-notes/may-2026'), false);
+  assert.deepEqual(findNavGroup(c, RELEASE_NOTES_GROUP).pages, ['release-notes', 'release-notes/may-2026']);
+});
+
+test('addReleaseNotesPage puts other pages above the monthly pages', () => {
+  const c = config(['release-notes', 'release-notes/may-2026']);
+  assert.equal(addReleaseNotesPage(c, 'partner-changelog'), true);
+  assert.equal(addReleaseNotesPage(c, 'partner-changelog'), false);
+  assert.equal(addMonthlyReleasePage(c, 'release-notes/june-2026'), true);
+  assert.deepEqual(findNavGroup(c, RELEASE_NOTES_GROUP).pages, [
+    'release-notes', 'partner-changelog', 'release-notes/june-2026', 'release-notes/may-2026',
+  ]);
+});
+
+test('addMonthlyReleasePage fails loudly when the group is missing', () => {
+  const c = { navigation: { tabs: [{ tab: 'Docs', groups: [{ group: 'Releases', pages: [] }] }] } };
+  assert.throws(() => addMonthlyReleasePage(c, 'release-notes/may-2026'), /"Release notes" navigation group/);
+});
+
+test('docs.json lists every monthly release-notes page and round-trips', () => {
+  const text = fs.readFileSync(path.join(ROOT, 'docs.json'), 'utf8');
+  const c = JSON.parse(text);
+  assert.equal(serializeDocsJson(c), text);
+
+  const { pages } = findNavGroup(c, RELEASE_NOTES_GROUP);
+  for (const f of fs.readdirSync(path.join(ROOT, 'release-notes')).filter((f) => f.endsWith('.mdx'))) {
+    assert.ok(pages.includes(`release-notes/${f.replace(/\.mdx$/, '')}`), `${f} missing from docs.json`);
+  }
+});
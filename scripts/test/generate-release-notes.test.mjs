@@ -0,0 +1,131 @@
+/**
+ * Golden-file tests for generate-release-notes.mjs, run fully offline.
+ *
+ * Each directory under fixtures/ is one scenario:
+ *   scenario.json — env vars for the run (RELEASE_VERSION, SOURCE_REPO, ...),
+ *                   plus an optional "github" dir shared with another scenario
+ *   github/       — recorded GitHub responses, replayed via GITHUB_FIXTURES
+ *   input/        — repo files the script starts from (release-notes.mdx, ...)
+ *   expected/     — every file the script should leave behind
+ *
+ * Usage:
+ *   node --test scripts/test/
+ *   UPDATE_GOLDEN=1 node --test scripts/test/   # rewrite expected/ from actual output
+ *
+ * To record a new scenario, run the generator once against live GitHub with
+ * GITHUB_FIXTURES=<scenario>/github GITHUB_FIXTURES_RECORD=true.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SCRIPT = path.resolve(__dirname, '..', 'generate-release-notes.mjs');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+function listFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((d) => {
+    const full = path.join(dir, d.name);
+    return d.isDirectory() ? listFiles(full, base) : [path.relative(base, full)];
+  });
+}
+
+function runScenario(name, args = [], envOverrides = {}) {
+  const scenarioDir = path.join(FIXTURES, name);
+  const { env = {}, github = 'github' } = JSON.parse(fs.readFileSync(path.join(scenarioDir, 'scenario.json'), 'utf8'));
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `release-notes-${name}-`));
+  fs.cpSync(path.join(scenarioDir, 'input'), workDir, { recursive: true });
+
+  const childEnv = { ...process.env, ...env, ...envOverrides, GITHUB_FIXTURES: path.join(scenarioDir, github) };
+  delete childEnv.GITHUB_TOKEN;
+  delete childEnv.GITHUB_FIXTURES_RECORD;
+
+  const readOutput = () => Object.fromEntries(listFiles(workDir).map((rel) => [rel, fs.readFileSync(path.join(workDir, rel), 'utf8')]));
+  try {
+    const stdout = execFileSync(process.execPath, [SCRIPT, ...args], { cwd: workDir, env: childEnv, stdio: 'pipe' }).toString();
+    return { output: readOutput(), stdout };
+  } catch (err) {
+    // Failed runs still report what they left behind
+    err.output = readOutput();
+    throw err;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+const scenarios = fs.readdirSync(FIXTURES)
+  .filter((d) => fs.existsSync(path.join(FIXTURES, d, 'scenario.json')));
+
+for (const name of scenarios) {
+  test(`generate-release-notes: ${name}`, () => {
+    const expectedDir = path.join(FIXTURES, name, 'expected');
+    const { output: actual } = runScenario(name);
+
+    if (UPDATE) {
+      fs.rmSync(expectedDir, { recursive: true, force: true });
+      for (const [rel, content] of Object.entries(actual)) {
+        fs.mkdirSync(path.dirname(path.join(expectedDir, rel)), { recursive: true });
+        fs.writeFileSync(path.join(expectedDir, rel), content);
+      }
+      return;
+    }
+
+    const expectedFiles = listFiles(expectedDir).sort();
+    assert.deepEqual(Object.keys(actual).sort(), expectedFiles, 'generated file set differs from expected/');
+    for (const rel of expectedFiles) {
+      assert.equal(actual[rel], fs.readFileSync(path.join(expectedDir, rel), 'utf8'), `${rel} differs from golden`);
+    }
+  });
+}
+
+test('generate-release-notes: --dry-run --json writes nothing and prints entries', () => {
+  const { output, stdout } = runScenario('api-v3.3.0', ['--dry-run', '--json']);
+
+  const inputDir = path.join(FIXTURES, 'api-v3.3.0', 'input');
+  assert.deepEqual(Object.keys(output), listFiles(inputDir));
+  assert.equal(output['release-notes.mdx'], fs.readFileSync(path.join(inputDir, 'release-notes.mdx'), 'utf8'));
+
+  const report = JSON.parse(stdout);
+  assert.equal(report.version, 'api-v3.3.0');
+  assert.deepEqual(report.entries.api.map((e) => [e.number, e.source]), [
+    [401, 'coderabbit'], [402, 'summary'], [407, 'release-notes'], [404, 'title'],
+  ]);
+  assert.deepEqual(report.excluded.map((e) => [e.number, e.reason]), [[403, 'title'], [408, 'skip-marker']]);
+  assert.deepEqual(report.merges, []);
+  assert.deepEqual(report.entries.api.map((e) => e.audience), ['public-api', 'public-api', 'public-api', 'internal']);
+});
+
+// Runs api-v3.3.0 with `envOverrides`, expecting it to fail with `message`
+// and leave every input file as it was
+function assertFailsUntouched(envOverrides, message) {
+  const inputDir = path.join(FIXTURES, 'api-v3.3.0', 'input');
+  assert.throws(() => runScenario('api-v3.3.0', [], envOverrides), (err) => {
+    assert.match(err.stderr.toString(), message);
+    assert.deepEqual(Object.keys(err.output), listFiles(inputDir));
+    for (const [rel, content] of Object.entries(err.output)) {
+      assert.equal(content, fs.readFileSync(path.join(inputDir, rel), 'utf8'), `${rel} was modified`);
+    }
+    return true;
+  });
+}
+
+test('generate-release-notes: malformed and out-of-order versions fail before writing', () => {
+  for (const [version, message] of [
+    ['api-v3.3', /Invalid RELEASE_VERSION "api-v3\.3"/],
+    ['api-v3.2.5', /Refusing to generate release notes: api-v3\.2\.5 is not newer than api-v3\.3\.0/],
+  ]) {
+    assertFailsUntouched({ RELEASE_VERSION: version }, message);
+  }
+});
+
+test('generate-release-notes: an unknown SOURCE_REPO fails before writing', () => {
+  assertFailsUntouched({ SOURCE_REPO: 'revive-api' }, /Unknown SOURCE_REPO "revive-api" \(expected one of: dashboard, admin, api, revive-mobile\)/);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  extractEndpoints,
+  extractBeforeAfter,
+  extractDeadline,
+  migrationAnchor,
+  buildMigrationStub,
+  migrationLinkText,
+  insertMigrationStubs,
+} from '../lib/migration-notes.mjs';
+
+const BODY = [
+  'Stage filters take IDs now.',
+  '',
+  '**Migration deadline:** 2026-12-01',
+  '',
+  '### Before',
+  '```http',
+  'GET /v1/deals/?stage=Closed%20Won',
+  '```',
+  '',
+  'After:',
+  '',
+  '```json',
+  '{ "stage": "closedwon" }',
+  '```',
+].join('\n');
+
+const GUIDE = [
+  '## v2 endpoints overview',
+  '',
+  '## Migration notes',
+  '',
+  '### Migrating from v1 to v2 Deals',
+  '',
+  'Use `POST /v2/deals/`.',
+  '',
+].join('\n');
+
+test('extractors read endpoints, before/after snippets and a deadline', () => {
+  assert.deepEqual(
+    extractEndpoints(['The `stage` filter on `GET /v1/deals/` and `PATCH /v1/deals/{id}` takes an ID.', 'GET /v1/deals/ again']),
+    ['GET /v1/deals/', 'PATCH /v1/deals/{id}'],
+  );
+  assert.deepEqual(extractBeforeAfter(BODY), {
+    before: { lang: 'http', code: 'GET /v1/deals/?stage=Closed%20Won' },
+    after: { lang: 'json', code: '{ "stage": "closedwon" }' },
+  });
+  assert.deepEqual(extractBeforeAfter('No examples.'), { before: null, after: null });
+  assert.equal(extractDeadline(BODY), 'December 1, 2026');
+  assert.equal(extractDeadline('Deadline: end of Q1'), 'end of Q1');
+  assert.equal(extractDeadline('No deadline here'), null);
+});
+
+test('migrationAnchor matches the heading slug', () => {
+  assert.equal(migrationAnchor('Deal export', 401), 'deal-export-401');
+  assert.equal(migrationAnchor('`stage` filter: IDs only', 12), 'stage-filter-ids-only-12');
+  assert.equal(migrationLinkText('/guides/changelog', 'deal-export-401'), 'See [migration notes](/guides/changelog#deal-export-401).');
+});
+
+test('buildMigrationStub leaves out what the PR does not say, with no placeholders', () => {
+  const stub = buildMigrationStub({
+    title: 'Webhook timeouts', number: 7, url: 'https://github.com/Revive-Home/revive-apps/pull/7',
+    version: 'api-v3.3.0', dateLabel: 'September 14, 2026', items: ['Receivers must respond within `10s`.'], body: '',
+  });
+  assert.equal(stub.heading, 'Webhook timeouts (#7)');
+  assert.equal(stub.markdown, [
+    '### Webhook timeouts (#7)',
+    '',
+    'Released in `api-v3.3.0` on September 14, 2026 ([#7](https://github.com/Revive-Home/revive-apps/pull/7)).',
+    '',
+    '- Receivers must respond within `10s`.',
+    '',
+  ].join('\n'));
+});
+
+test('insertMigrationStubs adds new stubs first under the heading and skips existing ones', () => {
+  const stub = buildMigrationStub({
+    title: 'Stage IDs', number: 9, url: 'https://github.com/Revive-Home/revive-apps/pull/9',
+    version: 'api-v3.3.0', dateLabel: 'September 14, 2026', items: ['`GET /v1/deals/` takes stage IDs.'], body: BODY,
+  });
+  assert.match(stub.markdown, /\*\*Affected endpoints:\*\* `GET \/v1\/deals\/`\n/);
+  assert.match(stub.markdown, /\*\*Before\*\*\n\n```http\nGET \/v1\/deals\/\?stage=Closed%20Won\n```\n\n\*\*After\*\*\n\n```json\n/);
+
+  const once = insertMigrationStubs(GUIDE, [stub], 'Migration notes');
+  assert.deepEqual(once.added.map((s) => s.heading), ['Stage IDs (#9)']);
+  assert.match(once.text, /## Migration notes\n\n### Stage IDs \(#9\)\n[\s\S]*```\n\n### Migrating from v1 to v2 Deals\n/);
+
+  const twice = insertMigrationStubs(once.text, [stub], 'Migration notes');
+  assert.equal(twice.text, once.text);
+  assert.deepEqual(twice.skipped.map((s) => s.heading), ['Stage IDs (#9)']);
+
+  assert.throws(() => insertMigrationStubs('## Other\n\n', [stub], 'Migration notes'), /"## Migration notes" section/);
+});
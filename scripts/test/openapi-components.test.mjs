@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dedupeSchemas, componentName, shapeName } from '../lib/openapi-components.mjs';
+
+const DEAL = { type: 'object', properties: { dealId: { type: 'string' }, stage: { type: 'string' } } };
+const STAGE = { type: 'object', properties: { stage: { type: 'string' } } };
+const DEAL_REORDERED = { properties: { stage: { type: 'string' }, dealId: { type: 'string' } }, type: 'object' };
+
+function json(schema) {
+  return { content: { 'application/json': { schema: structuredClone(schema) } } };
+}
+
+function spec() {
+  return {
+    openapi: '3.0.0',
+    components: {
+      securitySchemes: { BearerAuth: { type: 'http', scheme: 'bearer' } },
+      schemas: { Message: { type: 'object', properties: { message: { type: 'string' } } } },
+    },
+    paths: {
+      '/v2/deals/': {
+        post: { operationId: 'post_v2_deals_', requestBody: json(DEAL), responses: { '201': json(DEAL_REORDERED) } },
+      },
+      '/v2/deals/{dealId}': {
+        get: { responses: { '200': json(DEAL), '404': json({ type: 'object', properties: { message: { type: 'string' } } }) } },
+        patch: { requestBody: json({ type: 'object' }), responses: { '200': json({ type: 'object', properties: { ok: { type: 'boolean' } } }) } },
+        delete: { requestBody: json({ type: 'object' }), responses: { '204': { description: 'No content.' } } },
+      },
+      '/v2/deals/{dealId}/stage': {
+        put: { operationId: 'put_v2_deals_stage', requestBody: json(STAGE), responses: { '200': json(STAGE) } },
+      },
+    },
+  };
+}
+
+test('componentName uses the operationId, else the method and path', () => {
+  assert.equal(componentName({ operationId: 'post_v1_contacts_remove-from-deal' }, 'post', '/v1/contacts/remove-from-deal', 'Request'), 'PostV1ContactsRemoveFromDealRequest');
+  assert.equal(componentName({}, 'get', '/v2/deals/{dealId}', 'Response'), 'GetV2DealsDealIdResponse');
+});
+
+test('shapeName uses the property names, and the items of an array', () => {
+  assert.equal(shapeName(DEAL, 'Request'), 'DealIdStageRequest');
+  assert.equal(shapeName({ type: 'array', items: DEAL }, 'Response'), 'DealIdStageListResponse');
+  assert.equal(shapeName({ type: 'array', items: { type: 'string' } }, 'Body'), 'StringListBody');
+});
+
+test('dedupeSchemas moves repeated schemas into components, named by shape when shared', () => {
+  const s = spec();
+  assert.equal(dedupeSchemas(s), 2);
+  assert.deepEqual(Object.keys(s.components.schemas), ['Message', 'DealIdStageBody', 'PutV2DealsStageBody']);
+  assert.deepEqual(s.components.schemas.DealIdStageBody, DEAL);
+  assert.deepEqual(s.components.securitySchemes, { BearerAuth: { type: 'http', scheme: 'bearer' } });
+
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  assert.deepEqual(s.paths['/v2/deals/'].post.requestBody.content['application/json'].schema, ref('DealIdStageBody'));
+  assert.deepEqual(s.paths['/v2/deals/'].post.responses['201'].content['application/json'].schema, ref('DealIdStageBody'));
+  assert.deepEqual(s.paths['/v2/deals/{dealId}'].get.responses['200'].content['application/json'].schema, ref('DealIdStageBody'));
+  // Used twice by one operation: named after it
+  assert.deepEqual(s.paths['/v2/deals/{dealId}/stage'].put.responses['200'].content['application/json'].schema, ref('PutV2DealsStageBody'));
+  // A schema that matches an existing component uses it, even if only once
+  assert.deepEqual(s.paths['/v2/deals/{dealId}'].get.responses['404'].content['application/json'].schema, ref('Message'));
+  // Used once, or only a type: stays inline
+  assert.deepEqual(s.paths['/v2/deals/{dealId}'].patch.responses['200'].content['application/json'].schema, { type: 'object', properties: { ok: { type: 'boolean' } } });
+  assert.deepEqual(s.paths['/v2/deals/{dealId}'].patch.requestBody.content['application/json'].schema, { type: 'object' });
+});
+
+test('dedupeSchemas picks a free name and changes nothing on a second run', () => {
+  const s = spec();
+  s.components.schemas.DealIdStageBody = { type: 'string' };
+  dedupeSchemas(s);
+  // Every use is under /v2/deals: the resource goes in front
+  assert.ok(s.components.schemas.DealsDealIdStageBody);
+
+  const other = spec();
+  other.components.schemas.DealIdStageBody = { type: 'string' };
+  other.paths['/v2/contacts/'] = { get: { responses: { '200': json(DEAL) } } };
+  dedupeSchemas(other);
+  assert.ok(other.components.schemas.DealIdStageBody2);
+
+  const once = JSON.stringify(s);
+  assert.equal(dedupeSchemas(s), 0);
+  assert.equal(JSON.stringify(s), once);
+});
@@ -0,0 +1,364 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadEnrichments, enrichSpec, endpointBadge, isEnrichedSpec } from '../lib/openapi-enrich.mjs';
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function baseSpec() {
+  return {
+    openapi: '3.0.0',
+    info: { title: 'Revive API', version: 'v3.3.0' },
+    tags: [{ name: 'Deals' }],
+    paths: {
+      '/v2/deals/': {
+        post: {
+          summary: 'Create deal',
+          tags: ['Deals'],
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    dealname: { type: 'string' },
+                    dealtype: { type: 'string', description: "'Presale', 'Renovation'." },
+                    stage: { type: 'string' },
+                  },
+                },
+              },
+            },
+          },
+          responses: { '200': { description: 'success', content: { 'application/json': { schema: { type: 'object', properties: { status: { type: 'string' } } } } } } },
+        },
+      },
+      '/v2/deals/{dealId}': {
+        get: { summary: '/v2/deals/{dealId}', tags: ['Deals'], responses: { '200': { description: 'Success' } } },
+        delete: { summary: 'Delete deal', tags: ['Deals'], responses: { '200': { description: 'Success' } } },
+      },
+      '/v1/rma/{rmaId}/rush': {
+        post: { summary: '/v1/rma/{rmaId}/rush', tags: ['Rma'], responses: { '200': { description: 'Success' } } },
+      },
+      '/health': {
+        get: { summary: 'Health check', description: 'Liveness probe.', responses: { '200': { description: 'OK' } } },
+      },
+    },
+  };
+}
+
+const ENRICHMENTS = {
+  tags: { Deals: { description: 'Deals in the pipeline.' } },
+  auth: { default: 'bearer', rules: [{ auth: 'public', paths: ['/health'] }] },
+  paths: {
+    'POST /v2/deals/': {
+      description: '`dealname` is the property address.',
+      parameters: { stage: "Pipeline stage: 'New Lead', 'Under Contract' or 'Closed Won'." },
+      requestExample: { dealname: '123 Main St', stage: 'New Lead' },
+      responses: { '200': { description: 'deal created.', example: { status: 'success', data: { dealId: 'deal_abc123' } } } },
+    },
+    'GET /v2/deals/{dealId}': { summary: 'Get deal' },
+    'DELETE /v2/deals/{dealId}': { requestExample: { reason: 'Duplicate' } },
+  },
+};
+
+test('enrichSpec leaves the base alone and gives the same output on every run', () => {
+  const base = baseSpec();
+  const first = enrichSpec(base, ENRICHMENTS);
+  assert.deepEqual(base, baseSpec());
+  assert.deepEqual(enrichSpec(base, ENRICHMENTS).spec, first.spec);
+  assert.equal(first.enrichedCount, 3);
+});
+
+test('enrichSpec reports and skips overlays for operations the spec does not have', () => {
+  const enrichments = {
+    ...ENRICHMENTS,
+    paths: { ...ENRICHMENTS.paths, 'GET /v2/missing': { summary: 'Nope' }, 'PATCH /v2/deals/': { summary: 'Nope' } },
+  };
+  const { spec, enrichedCount, unknownOperations } = enrichSpec(baseSpec(), enrichments);
+  assert.deepEqual(unknownOperations, ['GET /v2/missing', 'PATCH /v2/deals/']);
+  assert.equal(enrichedCount, 3);
+  assert.deepEqual(spec, enrichSpec(baseSpec(), ENRICHMENTS).spec);
+  assert.deepEqual(enrichSpec(baseSpec(), ENRICHMENTS).unknownOperations, []);
+});
+
+test('enriching an already-enriched spec changes nothing', () => {
+  const once = enrichSpec(baseSpec(), ENRICHMENTS).spec;
+  assert.ok(isEnrichedSpec(once));
+  assert.ok(!isEnrichedSpec(baseSpec()));
+  const twice = enrichSpec(once, ENRICHMENTS).spec;
+  assert.equal(JSON.stringify(twice, null, 2), JSON.stringify(once, null, 2));
+});
+
+test('creates answer 201 with the overlay example, once', () => {
+  const spec = enrichSpec(enrichSpec(baseSpec(), ENRICHMENTS).spec, ENRICHMENTS).spec;
+  const responses = spec.paths['/v2/deals/'].post.responses;
+  assert.equal(responses['200'], undefined);
+  assert.equal(responses['201'].description, 'Deal created.');
+  assert.deepEqual(responses['201'].content['application/json'], {
+    schema: { type: 'object', properties: { status: { type: 'string' } } },
+    example: { status: 'success', data: { dealId: 'deal_abc123' } },
+  });
+});
+
+test('a 200 left next to a 201 is folded into it', () => {
+  const base = baseSpec();
+  base.paths['/v2/deals/'].post.responses['201'] = { description: 'Created.', headers: { Location: { schema: { type: 'string' } } } };
+  const responses = enrichSpec(base, ENRICHMENTS).spec.paths['/v2/deals/'].post.responses;
+  assert.deepEqual(Object.keys(responses).filter((s) => s.startsWith('2')), ['201']);
+  assert.equal(responses['201'].description, 'Deal created.');
+  assert.ok(responses['201'].headers.Location);
+});
+
+test('route-like summaries become labels before create detection', () => {
+  const once = enrichSpec(baseSpec(), ENRICHMENTS).spec;
+  const rush = once.paths['/v1/rma/{rmaId}/rush'].post;
+  assert.equal(rush.summary, 'Create Rma rush');
+  assert.ok(rush.responses['201']);
+  assert.deepEqual(enrichSpec(once, ENRICHMENTS).spec.paths['/v1/rma/{rmaId}/rush'], once.paths['/v1/rma/{rmaId}/rush']);
+  // The overlay summary wins over the cleaned one
+  assert.equal(once.paths['/v2/deals/{dealId}'].get.summary, 'Get deal');
+});
+
+test('every description starts with its badge, even when the overlay starts with code', () => {
+  const spec = enrichSpec(enrichSpec(baseSpec(), ENRICHMENTS).spec, ENRICHMENTS).spec;
+  assert.equal(endpointBadge('post', '/v2/deals/'), '`POST /v2/deals/`');
+  assert.equal(spec.paths['/v2/deals/'].post.description, '`POST /v2/deals/`\n\n`dealname` is the property address.');
+  assert.equal(spec.paths['/v2/deals/{dealId}'].get.description, '`GET /v2/deals/{dealId}`');
+  assert.equal(spec.paths['/health'].get.description, '`GET /health`\n\nLiveness probe.');
+});
+
+test('enums come from quoted values in request body descriptions', () => {
+  const props = enrichSpec(baseSpec(), ENRICHMENTS).spec.paths['/v2/deals/'].post.requestBody.content['application/json'].schema.properties;
+  assert.deepEqual(props.stage.enum, ['New Lead', 'Under Contract', 'Closed Won']);
+  assert.deepEqual(props.dealtype.enum, ['Presale', 'Renovation']);
+  assert.equal(props.dealname.enum, undefined);
+  assert.equal(props.dealname.example, '123 Main St');
+});
+
+test('examples are checked against their schemas, or get one inferred', () => {
+  const base = baseSpec();
+  base.paths['/v2/deals/'].post.requestBody.content['application/json'].schema.required = ['dealtype'];
+  const { spec, inferredSchemas, exampleMismatches } = enrichSpec(base, ENRICHMENTS);
+  assert.deepEqual(exampleMismatches, [
+    { endpoint: 'POST /v2/deals/', target: 'request body', errors: [{ path: '$', message: 'is missing required property "dealtype"' }] },
+  ]);
+  assert.deepEqual(spec.paths['/v2/deals/{dealId}'].delete.requestBody.content['application/json'].schema, {
+    type: 'object',
+    properties: { reason: { type: 'string', example: 'Duplicate' } },
+  });
+  assert.ok(inferredSchemas > 0);
+});
+
+test('standard responses are added where they apply', () => {
+  const spec = enrichSpec(baseSpec(), ENRICHMENTS).spec;
+  const codes = (op) => Object.keys(op.responses).sort();
+  assert.deepEqual(codes(spec.paths['/health'].get), ['200', '400', '404', '500']);
+  assert.deepEqual(codes(spec.paths['/v2/deals/{dealId}'].delete), ['200', '204', '400', '401', '403', '404', '500']);
+  assert.deepEqual(codes(spec.paths['/v2/deals/'].post), ['201', '400', '401', '403', '422', '500']);
+  assert.deepEqual(spec.tags, [{ name: 'Deals', description: 'Deals in the pipeline.' }, { name: 'Rma' }]);
+});
+
+test('standard error responses are shared components', () => {
+  const base = baseSpec();
+  base.paths['/health'].get.responses['404'] = { description: 'No such probe.' };
+  const spec = enrichSpec(base, ENRICHMENTS).spec;
+
+  assert.deepEqual(spec.paths['/v2/deals/'].post.responses['400'], { $ref: '#/components/responses/BadRequest' });
+  assert.deepEqual(spec.paths['/health'].get.responses['500'], { $ref: '#/components/responses/InternalServerError' });
+  assert.deepEqual(spec.paths['/health'].get.responses['404'], { description: 'No such probe.' });
+  assert.deepEqual(Object.keys(spec.components.responses), ['BadRequest', 'Unauthorized', 'Forbidden', 'NotFound', 'UnprocessableEntity', 'InternalServerError']);
+  assert.deepEqual(spec.components.responses.UnprocessableEntity.content['application/json'].schema, { $ref: '#/components/schemas/ErrorResponse' });
+  assert.deepEqual(spec.components.schemas.ErrorResponse.properties.errors.items, { $ref: '#/components/schemas/FieldError' });
+});
+
+test('every operation gets security from its overlay, the spec or the auth rules', () => {
+  const base = baseSpec();
+  base.paths['/v2/deals/{dealId}'].get.security = [{ BearerAuth: [] }];
+  base.paths['/v2/deals/{dealId}'].get.responses['401'] = { description: 'Token expired.' };
+  base.paths['/v2/webhooks/stripe'] = {
+    post: {
+      summary: 'Stripe webhook',
+      // As referenced by an earlier run, before the webhook was public
+      responses: { '200': { description: 'OK' }, '401': { $ref: '#/components/responses/Unauthorized' } },
+    },
+  };
+  const enrichments = {
+    ...ENRICHMENTS,
+    auth: { rules: [{ auth: 'public', paths: ['/health', '/v*/webhooks/**'] }] },
+    paths: { ...ENRICHMENTS.paths, 'DELETE /v2/deals/{dealId}': { auth: 'public' } },
+  };
+  const { spec, unusedAuthPaths } = enrichSpec(base, enrichments);
+  const security = (pathStr, method) => spec.paths[pathStr][method].security;
+  assert.deepEqual(unusedAuthPaths, []);
+  assert.deepEqual(enrichSpec(base, { ...enrichments, auth: { rules: [{ auth: 'public', paths: ['/health', '/api/health-status'] }] } }).unusedAuthPaths, ['/api/health-status']);
+
+  assert.deepEqual(security('/health', 'get'), []);
+  assert.deepEqual(security('/v2/webhooks/stripe', 'post'), []);
+  assert.deepEqual(security('/v2/deals/{dealId}', 'get'), [{ BearerAuth: [] }]);
+  assert.deepEqual(security('/v2/deals/{dealId}', 'delete'), []);
+  assert.deepEqual(security('/v2/deals/', 'post'), [{ BearerAuth: [] }]);
+  assert.deepEqual(spec.components.securitySchemes, {
+    BearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase JWT' },
+  });
+
+  const codes = (pathStr, method) => Object.keys(spec.paths[pathStr][method].responses).sort();
+  assert.deepEqual(codes('/v2/webhooks/stripe', 'post'), ['200', '400', '422', '500']);
+  assert.deepEqual(codes('/v2/deals/{dealId}', 'delete'), ['200', '204', '400', '404', '500']);
+  assert.deepEqual(spec.paths['/v2/deals/{dealId}'].get.responses['401'], { description: 'Token expired.' });
+  assert.deepEqual(spec.paths['/v2/deals/{dealId}'].get.responses['403'], { $ref: '#/components/responses/Forbidden' });
+
+  assert.deepEqual(enrichSpec(spec, enrichments).spec, spec);
+});
+
+test('operations on an API key use the apiKey scheme the base spec declares', () => {
+  const enrichments = { ...ENRICHMENTS, auth: { default: 'apiKey', rules: ENRICHMENTS.auth.rules } };
+  const base = baseSpec();
+  const partnerKey = { type: 'apiKey', in: 'header', name: 'X-Partner-Key' };
+  base.components = { ...base.components, securitySchemes: { PartnerKey: partnerKey } };
+  const spec = enrichSpec(base, enrichments).spec;
+  assert.deepEqual(spec.paths['/v2/deals/'].post.security, [{ PartnerKey: [] }]);
+  assert.deepEqual(spec.paths['/health'].get.security, []);
+  assert.deepEqual(spec.components.securitySchemes, { PartnerKey: partnerKey });
+  assert.deepEqual(spec.paths['/v2/deals/'].post.responses['401'], { $ref: '#/components/responses/PartnerKeyUnauthorized' });
+  assert.equal(spec.components.responses.PartnerKeyUnauthorized.description, 'Unauthorized — missing or invalid API key in the `X-Partner-Key` header.');
+  assert.equal(spec.components.responses.Unauthorized.description, 'Unauthorized — missing or invalid Bearer token.');
+  assert.deepEqual(enrichSpec(spec, enrichments).spec, spec);
+
+  assert.throws(() => enrichSpec(baseSpec(), enrichments), /"auth": "apiKey" needs an apiKey scheme in the base spec's components\.securitySchemes/);
+});
+
+test('loadEnrichments merges overlay files in name order, field by field', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichments-'));
+  try {
+    const write = (file, data) => fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+    write('openapi-enrichments.json', {
+      tags: { Deals: { description: 'Deals.' } },
+      auth: { default: 'bearer', rules: [{ auth: 'public', paths: ['/v2/deals/'] }] },
+      paths: { 'GET /v2/deals/': { summary: 'List deals' } },
+    });
+    write('openapi-enrichments-paths.json', { 'GET /v2/deals/': { description: 'All deals.' } });
+    write('openapi-enrichments-responses1.json', { 'GET /v2/deals/': { responses: { '200': { description: 'Deals.' } } } });
+    write('openapi-other.json', { 'GET /v2/users/': { summary: 'Ignored' } });
+    fs.copyFileSync(path.join(SCRIPTS_DIR, 'openapi-enrichments.schema.json'), path.join(dir, 'openapi-enrichments.schema.json'));
+
+    const { tags, auth, paths, sources, files } = loadEnrichments(dir);
+    assert.deepEqual(tags, { Deals: { description: 'Deals.' } });
+    assert.deepEqual(auth, { default: 'bearer', rules: [{ auth: 'public', paths: ['/v2/deals/'] }] });
+    assert.deepEqual(paths, {
+      'GET /v2/deals/': { summary: 'List deals', description: 'All deals.', responses: { '200': { description: 'Deals.' } } },
+    });
+    assert.deepEqual(sources, {
+      'GET /v2/deals/': ['openapi-enrichments.json', 'openapi-enrichments-paths.json', 'openapi-enrichments-responses1.json'],
+    });
+    assert.deepEqual(files, [
+      { file: 'openapi-enrichments-paths.json', count: 1 },
+      { file: 'openapi-enrichments-responses1.json', count: 1 },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loadEnrichments rejects overlays that do not match the schema', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrichments-'));
+  try {
+    const write = (file, data) => fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+    fs.copyFileSync(path.join(SCRIPTS_DIR, 'openapi-enrichments.schema.json'), path.join(dir, 'openapi-enrichments.schema.json'));
+    write('openapi-enrichments.json', { tags: { Deals: { descripton: 'Deals.' } }, auth: { rules: [{ auth: 'none', paths: ['v2/deals/'] }] }, paths: {} });
+    write('openapi-enrichments-paths.json', {
+      'GET /v2/deals/': { summary: 'List deals', parameter: { stage: 'Stage.' }, auth: 'session' },
+      'get /v2/deals/': { summary: 'List deals' },
+      'GET v2/deals': { summary: 'List deals' },
+    });
+    write('openapi-enrichments-responses1.json', {
+      'POST /v2/deals/': { respones: {} },
+      'GET /v2/deals/{dealId}': { responses: { '200': { description: 'Deal.', examples: {} }, '2OO': { description: 'Deal.' } } },
+    });
+
+    assert.throws(() => loadEnrichments(dir), (err) => {
+      assert.equal(err.message, [
+        'Invalid OpenAPI enrichments (see openapi-enrichments.schema.json):',
+        'openapi-enrichments.json:',
+        '  $.tags.Deals.descripton: is not a known property',
+        '  $.auth.rules[0].auth: must be one of "public", "apiKey", "bearer"',
+        '  $.auth.rules[0].paths[0]: must match ^/',
+        'openapi-enrichments-paths.json:',
+        '  $.GET /v2/deals/.parameter: is not a known property',
+        '  $.GET /v2/deals/.auth: must be one of "public", "apiKey", "bearer"',
+        '  $.get /v2/deals/: invalid key: must be "METHOD /path", e.g. "GET /v2/deals/{dealId}"',
+        '  $.GET v2/deals: invalid key: must be "METHOD /path", e.g. "GET /v2/deals/{dealId}"',
+        'openapi-enrichments-responses1.json:',
+        '  $.POST /v2/deals/.respones: is not a known property',
+        '  $.GET /v2/deals/{dealId}.responses.200.examples: is not a known property',
+        '  $.GET /v2/deals/{dealId}.responses.2OO: invalid key: must be an HTTP status code such as "200"',
+      ].join('\n'));
+      return true;
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the checked-in overlays are valid and match the base spec', () => {
+  const enrichments = loadEnrichments(SCRIPTS_DIR);
+  const base = JSON.parse(fs.readFileSync(path.join(SCRIPTS_DIR, '..', 'openapi.base.json'), 'utf8'));
+  assert.doesNotThrow(() => enrichSpec(base, enrichments));
+});
+
+test('--adopt moves an upstream export pushed to openapi.json into the base', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrich-adopt-'));
+  const upstream = fs.readFileSync(path.join(SCRIPTS_DIR, '..', 'openapi.base.json'), 'utf8');
+  const env = { ...process.env, OPENAPI_BASE: path.join(dir, 'openapi.base.json'), OPENAPI_SPEC: path.join(dir, 'openapi.json') };
+  const run = (...args) => execFileSync(process.execPath, [path.join(SCRIPTS_DIR, 'enrich-openapi.mjs'), ...args], { env, stdio: 'pipe' }).toString();
+  try {
+    fs.writeFileSync(env.OPENAPI_BASE, '{}\n');
+    fs.writeFileSync(env.OPENAPI_SPEC, upstream);
+    assert.match(run('--adopt'), /Moved the upstream spec/);
+    assert.equal(fs.readFileSync(env.OPENAPI_BASE, 'utf8'), upstream);
+    const enriched = fs.readFileSync(env.OPENAPI_SPEC, 'utf8');
+    assert.ok(isEnrichedSpec(JSON.parse(enriched)));
+
+    // Enricher output is never taken as the base
+    assert.doesNotMatch(run('--adopt'), /Moved the upstream spec/);
+    assert.equal(fs.readFileSync(env.OPENAPI_BASE, 'utf8'), upstream);
+    assert.equal(fs.readFileSync(env.OPENAPI_SPEC, 'utf8'), enriched);
+    run('--check');
+
+    fs.writeFileSync(env.OPENAPI_BASE, enriched);
+    assert.throws(() => run(), (err) => /is enricher output, not the upstream spec/.test(err.stderr.toString()));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an example mismatch missing from the known list fails the run', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrich-mismatches-'));
+  const env = {
+    ...process.env,
+    OPENAPI_SPEC: path.join(dir, 'openapi.json'),
+    OPENAPI_EXAMPLE_MISMATCHES: path.join(dir, 'openapi-example-mismatches.json'),
+  };
+  const run = (known) => {
+    fs.writeFileSync(env.OPENAPI_EXAMPLE_MISMATCHES, JSON.stringify(known));
+    return spawnSync(process.execPath, [path.join(SCRIPTS_DIR, 'enrich-openapi.mjs'), '--check'], { env, encoding: 'utf8' });
+  };
+  const known = JSON.parse(fs.readFileSync(path.join(SCRIPTS_DIR, 'openapi-example-mismatches.json'), 'utf8'));
+  const [endpoint, [line]] = Object.entries(known)[0];
+  try {
+    // Listed mismatches only warn, and listed ones that no longer occur are named
+    fs.copyFileSync(path.join(SCRIPTS_DIR, '..', 'openapi.json'), env.OPENAPI_SPEC);
+    const listed = run({ ...known, 'GET /nowhere': ['response 200 $: must be object'] });
+    assert.equal(listed.status, 0);
+    assert.match(listed.stderr, /but no longer mismatched; remove them:\n {4}GET \/nowhere\n {6}response 200 \$: must be object\n/);
+
+    const unlisted = run({ ...known, [endpoint]: known[endpoint].slice(1) });
+    assert.equal(unlisted.status, 1);
+    assert.ok(unlisted.stderr.includes(`Examples that do not match their schema:\n  ${endpoint}\n    ${line}\n`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inferSchema, checkExamples, compareMismatches } from '../lib/openapi-examples.mjs';
+import { validateSchema } from '../lib/json-schema.mjs';
+
+test('inferSchema describes the example without requiring anything', () => {
+  assert.deepEqual(inferSchema({ status: 'success', data: { dealId: 'deal_abc123', total: 45000, closed: false, notes: null } }), {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          dealId: { type: 'string' },
+          total: { type: 'number' },
+          closed: { type: 'boolean' },
+          notes: { nullable: true },
+        },
+      },
+    },
+  });
+  assert.deepEqual(inferSchema([]), { type: 'array', items: {} });
+});
+
+test('inferSchema merges array items into one schema they all match', () => {
+  const example = [
+    { id: 'est_001', total: 100, tags: ['kitchen'] },
+    { id: 'est_002', total: null, dueAt: '2026-05-01' },
+    { id: 3, tags: [] },
+  ];
+  const schema = inferSchema(example);
+  assert.deepEqual(schema, {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        id: {},
+        total: { type: 'number', nullable: true },
+        // An empty array says nothing about its items
+        tags: { type: 'array', items: {} },
+        dueAt: { type: 'string' },
+      },
+    },
+  });
+  assert.deepEqual(validateSchema(example, schema), []);
+  assert.deepEqual(inferSchema(['a', 1]), { type: 'array', items: {} });
+});
+
+function specWith(operation) {
+  return {
+    openapi: '3.0.0',
+    components: { schemas: { Deal: { type: 'object', required: ['dealId'], properties: { dealId: { type: 'string' }, stage: { type: 'string', nullable: true } } } } },
+    paths: { '/v2/deals/': { post: operation } },
+  };
+}
+
+test('checkExamples reports examples that do not match their schema, per endpoint', () => {
+  const spec = specWith({
+    requestBody: {
+      content: {
+        'application/json': {
+          schema: { type: 'object', required: ['dealname'], properties: { dealtype: { type: 'string', enum: ['Presale'] } } },
+          example: { dealtype: 'Renovation' },
+        },
+      },
+    },
+    responses: {
+      '201': { content: { 'application/json': { schema: { $ref: '#/components/schemas/Deal' }, example: { dealId: 42, stage: null } } } },
+      '204': { description: 'No content.' },
+    },
+  });
+  const { inferred, mismatches } = checkExamples(spec);
+  assert.equal(inferred, 0);
+  assert.deepEqual(mismatches, [
+    {
+      endpoint: 'POST /v2/deals/',
+      target: 'request body',
+      errors: [
+        { path: '$', message: 'is missing required property "dealname"' },
+        { path: '$.dealtype', message: 'must be one of "Presale"' },
+      ],
+    },
+    { endpoint: 'POST /v2/deals/', target: 'response 201', errors: [{ path: '$.dealId', message: 'must be string' }] },
+  ]);
+});
+
+test('checkExamples attaches an inferred schema where there is none', () => {
+  const spec = specWith({
+    requestBody: { content: { 'application/json': { schema: { type: 'object' }, example: { dealname: '123 Main St' } } } },
+    responses: { '200': { content: { 'application/json': { example: { status: 'success' } } } } },
+  });
+  const first = checkExamples(spec);
+  assert.equal(first.inferred, 2);
+  assert.deepEqual(first.mismatches, []);
+  const op = spec.paths['/v2/deals/'].post;
+  assert.deepEqual(op.requestBody.content['application/json'].schema, {
+    type: 'object',
+    properties: { dealname: { type: 'string', example: '123 Main St' } },
+  });
+  assert.deepEqual(op.responses['200'].content['application/json'].schema, { type: 'object', properties: { status: { type: 'string' } } });
+
+  // The attached schemas now count as the endpoint's own
+  const before = JSON.stringify(spec);
+  assert.deepEqual(checkExamples(spec), { inferred: 0, mismatches: [] });
+  assert.equal(JSON.stringify(spec), before);
+});
+
+test('checkExamples also checks the shared responses in components', () => {
+  const spec = specWith({ responses: { '404': { $ref: '#/components/responses/NotFound' } } });
+  spec.components.responses = {
+    NotFound: { description: 'Not found.', content: { 'application/json': { schema: { $ref: '#/components/schemas/Deal' }, example: { status: 'error' } } } },
+  };
+  assert.deepEqual(checkExamples(spec).mismatches, [
+    { endpoint: 'components/responses/NotFound', target: 'response', errors: [{ path: '$', message: 'is missing required property "dealId"' }] },
+  ]);
+});
+
+test('compareMismatches splits mismatches into listed, unlisted and stale', () => {
+  const mismatches = [
+    {
+      endpoint: 'POST /v2/deals/',
+      target: 'request body',
+      errors: [
+        { path: '$', message: 'is missing required property "dealname"' },
+        { path: '$.dealtype', message: 'must be one of "Presale"' },
+      ],
+    },
+  ];
+  const allowed = {
+    'POST /v2/deals/': ['request body $: is missing required property "dealname"'],
+    'GET /v2/deals/': ['response 200 $.data: must be array'],
+  };
+  assert.deepEqual(compareMismatches(mismatches, allowed), {
+    allowed: [{ endpoint: 'POST /v2/deals/', line: 'request body $: is missing required property "dealname"' }],
+    unlisted: [{ endpoint: 'POST /v2/deals/', line: 'request body $.dealtype: must be one of "Presale"' }],
+    stale: [{ endpoint: 'GET /v2/deals/', line: 'response 200 $.data: must be array' }],
+  });
+  assert.deepEqual(compareMismatches([]), { allowed: [], unlisted: [], stale: [] });
+});
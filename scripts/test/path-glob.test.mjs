@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesGlob } from '../lib/path-glob.mjs';
+
+test('matchesGlob: ** spans directories, * stays within one', () => {
+  assert.ok(matchesGlob('apps/api/src/deals/export.ts', 'apps/api/**'));
+  assert.ok(!matchesGlob('apps/api', 'apps/api/**'));
+  assert.ok(matchesGlob('apps/api/package.json', 'apps/*/package.json'));
+  assert.ok(!matchesGlob('apps/api/src/package.json', 'apps/*/package.json'));
+  assert.ok(matchesGlob('README.md', '**/*.md'));
+  assert.ok(matchesGlob('docs/guides/setup.md', '**/*.md'));
+});
+
+test('matchesGlob: ? and {a,b} alternatives, literal dots', () => {
+  assert.ok(matchesGlob('apps/admin/v1.ts', 'apps/{admin,dashboard}/v?.ts'));
+  assert.ok(matchesGlob('apps/dashboard/v2.ts', 'apps/{admin,dashboard}/v?.ts'));
+  assert.ok(!matchesGlob('apps/api/v1.ts', 'apps/{admin,dashboard}/v?.ts'));
+  assert.ok(!matchesGlob('apps/api/envXlocal', 'apps/api/env.local'));
+});
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  readReleaseNotesPages,
+  appForTag,
+  collectFeedItems,
+  renderUpdateHtml,
+  buildReleaseFeeds,
+} from '../lib/release-feeds.mjs';
+import { parseReleaseNotes } from '../lib/release-notes-mdx.mjs';
+
+const SITE = 'https://docs.example.com';
+const APPS = {
+  dashboard: { name: 'dashboard' },
+  api: { name: 'API' },
+};
+const FEEDS = { dir: 'feeds', siteUrl: SITE, title: 'Release notes', description: 'What shipped.', author: 'Revive', apps: APPS };
+
+const INDEX = `---
+title: "Release notes"
+description: "What's new."
+---
+
+<Update label="September 14, 2026" description="api-v3.3.0" tags={["api"]}>
+
+### New
+
+- Added \`GET /v1/deals/export\` to download deals as **CSV**. See [Webhooks](/guides/webhooks). ([#401](https://github.com/Revive-Home/revive-apps/pull/401))
+
+### Action required
+
+{/* TODO: add before/after request examples */}
+
+- The \`stage\` filter takes a stage ID & not a name. ([#401](https://github.com/Revive-Home/revive-apps/pull/401))
+
+</Update>
+
+<Update label="August 28, 2026" description="API hotfix" tags={["revive-api", "revive-dashboard"]}>
+
+### Fixed
+
+- Fixed deal totals in <Tooltip>exports</Tooltip>.
+
+</Update>
+
+<Update label="Upcoming" description="api-v3.4.0" tags={["api"]}>
+
+### New
+
+- Not dated yet.
+
+</Update>
+`;
+
+const MONTHLY = `---
+title: "September 2026"
+description: "September 2026 release notes."
+---
+
+<Update label="September 14, 2026" description="api-v3.3.0" tags={["api"]}>
+
+### New
+
+- Added \`GET /v1/deals/export\`. ([#401](https://github.com/Revive-Home/revive-apps/pull/401))
+
+</Update>
+
+<Update label="September 2, 2026" description="dashboard-v2.6.0" tags={["dashboard"]}>
+
+### Improved
+
+- Faster pipeline board.
+
+</Update>
+`;
+
+const PAGES = [
+  { page: 'release-notes', text: INDEX },
+  { page: 'release-notes/september-2026', text: MONTHLY },
+];
+
+test('appForTag maps current and repo-name tags to apps', () => {
+  assert.equal(appForTag('api', ['api', 'revive-mobile']), 'api');
+  assert.equal(appForTag('revive-api', ['api', 'revive-mobile']), 'api');
+  assert.equal(appForTag('revive-mobile', ['api', 'revive-mobile']), 'revive-mobile');
+  assert.equal(appForTag('marketing', ['api']), null);
+});
+
+test('collectFeedItems has one item per dated Update, newest first, linking to the monthly page', () => {
+  const items = collectFeedItems(PAGES, { siteUrl: SITE, apps: APPS });
+  assert.deepEqual(items.map((i) => [i.title, i.url, i.date.toISOString(), i.tags, i.summary]), [
+    ['api-v3.3.0 (API)', `${SITE}/release-notes/september-2026#september-14-2026`, '2026-09-14T12:00:00.000Z', ['api'], '1 new, 1 action required.'],
+    ['dashboard-v2.6.0 (dashboard)', `${SITE}/release-notes/september-2026#september-2-2026`, '2026-09-02T12:00:00.000Z', ['dashboard'], '1 improved.'],
+    ['API hotfix (API, dashboard)', `${SITE}/release-notes#august-28-2026`, '2026-08-28T12:00:00.000Z', ['api', 'dashboard'], '1 fixed.'],
+  ]);
+  assert.equal(items[0].id, 'tag:docs.example.com,2026-09-14:release-notes/api-v3.3.0/api');
+  assert.equal(items[2].id, 'tag:docs.example.com,2026-08-28:release-notes/API%20hotfix/revive-api+revive-dashboard');
+  // The first page an Update appears on supplies its content
+  assert.match(items[0].html, /<strong>CSV<\/strong>/);
+});
+
+test('renderUpdateHtml renders headings, bullets and inline markdown, escaping the rest', () => {
+  const [update, hotfix] = parseReleaseNotes(INDEX).updates;
+  assert.equal(renderUpdateHtml(update, SITE), [
+    '<h3>New</h3>',
+    '<ul><li>Added <code>GET /v1/deals/export</code> to download deals as <strong>CSV</strong>. See <a href="https://docs.example.com/guides/webhooks">Webhooks</a>. (<a href="https://github.com/Revive-Home/revive-apps/pull/401">#401</a>)</li></ul>',
+    '<h3>Action required</h3>',
+    '<ul><li>The <code>stage</code> filter takes a stage ID &amp; not a name. (<a href="https://github.com/Revive-Home/revive-apps/pull/401">#401</a>)</li></ul>',
+  ].join('\n'));
+  assert.match(renderUpdateHtml(hotfix, SITE), /Fixed deal totals in &lt;Tooltip&gt;exports&lt;\/Tooltip&gt;\./);
+});
+
+test('buildReleaseFeeds writes an all-apps and a per-app feed in both formats', () => {
+  const feeds = Object.fromEntries(buildReleaseFeeds(PAGES, FEEDS).map((f) => [f.file, f.content]));
+  assert.deepEqual(Object.keys(feeds), [
+    'feeds/release-notes.xml', 'feeds/release-notes.json',
+    'feeds/dashboard.xml', 'feeds/dashboard.json',
+    'feeds/api.xml', 'feeds/api.json',
+  ]);
+
+  const json = JSON.parse(feeds['feeds/api.json']);
+  assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(json.title, 'Release notes: API');
+  assert.equal(json.feed_url, `${SITE}/feeds/api.json`);
+  assert.deepEqual(json.items.map((i) => i.title), ['api-v3.3.0 (API)', 'API hotfix (API, dashboard)']);
+  assert.equal(json.items[0].date_published, '2026-09-14T12:00:00.000Z');
+
+  const atom = feeds['feeds/dashboard.xml'];
+  assert.match(atom, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+  assert.match(atom, /<link rel="self" type="application\/atom\+xml" href="https:\/\/docs\.example\.com\/feeds\/dashboard\.xml"\/>/);
+  assert.match(atom, /<updated>2026-09-02T12:00:00\.000Z<\/updated>\n  <author>/);
+  assert.equal(atom.match(/<entry>/g).length, 2);
+  assert.match(atom, /<category term="dashboard" label="dashboard"\/>/);
+  assert.match(atom, /<content type="html">&lt;h3&gt;Improved&lt;\/h3&gt;/);
+});
+
+test('buildReleaseFeeds caps items and dates empty feeds like the rest', () => {
+  const feeds = Object.fromEntries(buildReleaseFeeds(PAGES, { ...FEEDS, maxItems: 1, apps: { ...APPS, admin: { name: 'admin app' } } }).map((f) => [f.file, f.content]));
+  assert.equal(JSON.parse(feeds['feeds/release-notes.json']).items.length, 1);
+  const admin = feeds['feeds/admin.xml'];
+  assert.doesNotMatch(admin, /<entry>/);
+  assert.match(admin, /<updated>2026-09-14T12:00:00\.000Z<\/updated>/);
+});
+
+test('readReleaseNotesPages reads the index and monthly pages, preferring pending writes', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-feeds-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'release-notes.mdx'), INDEX);
+    fs.mkdirSync(path.join(dir, 'release-notes'));
+    fs.writeFileSync(path.join(dir, 'release-notes', 'august-2026.mdx'), '');
+    const pending = path.join(dir, 'release-notes', 'september-2026.mdx');
+    const pages = readReleaseNotesPages(dir, new Map([[pending, MONTHLY], [path.join(dir, 'release-notes.mdx'), 'updated']]));
+    assert.deepEqual(pages, [
+      { page: 'release-notes', text: 'updated' },
+      { page: 'release-notes/august-2026', text: '' },
+      { page: 'release-notes/september-2026', text: MONTHLY },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { DEFAULT_CONFIG_PATH, loadReleaseNotesConfig } from '../lib/release-notes-config.mjs';
+import { validateSchema } from '../lib/json-schema.mjs';
+
+const BASE = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
+
+// Loads a modified copy of the checked-in config from a temp file
+function loadWith(edit) {
+  const raw = structuredClone(BASE);
+  edit(raw);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-notes-config-'));
+  const file = path.join(dir, 'release-notes.config.json');
+  fs.writeFileSync(file, JSON.stringify(raw));
+  try {
+    return loadReleaseNotesConfig(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('the checked-in config is valid and splits monorepo from standalone apps', () => {
+  const config = loadReleaseNotesConfig();
+  assert.deepEqual(config.monorepoApps, ['dashboard', 'admin', 'api']);
+  assert.deepEqual(config.standaloneApps, ['revive-mobile']);
+  assert.equal(config.sectionToBucket['Bug Fixes'], 'fixed');
+  assert.ok(config.skipSections.has('Chores'));
+  assert.ok(config.excludeTitlePatterns.some((re) => re.test('Update Staging')));
+});
+
+test('adding an app is a config change', () => {
+  const config = loadWith((raw) => {
+    raw.apps.partners = { repo: 'revive-apps', tagPrefix: 'partners-v', audience: 'public-api', pulseCard: 'revive-partners' };
+    raw.appPaths['apps/partners/**'] = 'partners';
+  });
+  assert.deepEqual(config.monorepoApps, ['dashboard', 'admin', 'api', 'partners']);
+});
+
+test('schema errors name the offending key', () => {
+  assert.throws(() => loadWith((raw) => { raw.apps.api.tagprefix = 'api-v'; }), /\$\.apps\.api\.tagprefix: is not a known property/);
+  assert.throws(() => loadWith((raw) => { raw.codeRabbitSections.Chores = 'ignore'; }), /\$\.codeRabbitSections\.Chores: must be one of/);
+  assert.throws(() => loadWith((raw) => { delete raw.org; }), /is missing required property "org"/);
+  assert.throws(() => loadWith((raw) => { raw.backfill.repos = ['Revive-Home/revive-api']; }), /must be a bare repo name/);
+});
+
+test('semantic errors catch unknown apps, bad regexes and timezones', () => {
+  assert.throws(() => loadWith((raw) => { raw.appPaths['apps/web/**'] = 'web'; }), /unknown app "web"/);
+  assert.throws(() => loadWith((raw) => { raw.appPaths['apps/mobile/**'] = 'revive-mobile'; }), /not in the monorepo/);
+  assert.throws(() => loadWith((raw) => { raw.excludeTitlePatterns.push('(unclosed'); }), /excludeTitlePatterns\[7\]/);
+  assert.throws(() => loadWith((raw) => { raw.timeZone = 'Mars/Olympus'; }), /unknown timezone/);
+  assert.throws(() => loadWith((raw) => { raw.migrationNotes.apps = ['web']; }), /\$\.migrationNotes\.apps: unknown app "web"/);
+  assert.throws(() => loadWith((raw) => { raw.bulletSimilarity = 1.5; }), /\$\.bulletSimilarity: must be greater than 0/);
+  assert.throws(() => loadWith((raw) => { delete raw.backfill.repoApps['revive-admin']; }), /\$\.backfill\.repoApps: no app for repo "revive-admin"/);
+  assert.throws(() => loadWith((raw) => { raw.backfill.repoApps['revive-api'] = 'web'; }), /\$\.backfill\.repoApps\["revive-api"\]: unknown app "web"/);
+});
+
+test('bulletSimilarity is optional', () => {
+  assert.equal(loadWith((raw) => { delete raw.bulletSimilarity; }).bulletSimilarity, 0.8);
+  assert.equal(loadWith((raw) => { raw.bulletSimilarity = 1; }).bulletSimilarity, 1);
+});
+
+test('feeds are optional and need an absolute site URL', () => {
+  assert.equal(loadWith((raw) => { delete raw.feeds; }).feeds, undefined);
+  assert.throws(() => loadWith((raw) => { raw.feeds.siteUrl = 'https://tech.revive.realestate/'; }), /\$\.feeds\.siteUrl: must match/);
+  assert.throws(() => loadWith((raw) => { raw.feeds.maxItems = 0; }), /\$\.feeds\.maxItems: must be at least 1/);
+});
+
+test('notify settings are optional and hold no secrets', () => {
+  assert.equal(loadWith((raw) => { delete raw.notify; }).notify, undefined);
+  assert.throws(() => loadWith((raw) => { raw.notify.slackWebhookUrl = 'https://hooks.slack.com/services/x'; }), /\$\.notify\.slackWebhookUrl: is not a known property/);
+  assert.throws(() => loadWith((raw) => { raw.notify.topNewItems = 0; }), /\$\.notify\.topNewItems: must be at least 1/);
+});
+
+test('validateSchema handles $ref, anyOf and propertyNames', () => {
+  const schema = {
+    type: 'object',
+    propertyNames: { pattern: '^[a-z]+$' },
+    additionalProperties: { anyOf: [{ type: 'string' }, { $ref: '#/$defs/list' }] },
+    $defs: { list: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+  };
+  assert.deepEqual(validateSchema({ a: 'x', b: ['y'] }, schema), []);
+  assert.deepEqual(validateSchema({ a: [] }, schema).map((e) => e.path), ['$.a']);
+  assert.match(validateSchema({ Bad: 'x' }, schema)[0].message, /invalid key/);
+});
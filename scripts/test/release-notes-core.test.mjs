@@ -0,0 +1,299 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  cleanPRTitle,
+  shouldExcludePRTitle,
+  parseCodeRabbitSummary,
+  extractSummarySection,
+  parseReleaseNotesSection,
+  hasReleaseNoteSkip,
+  buildReleaseEntry,
+  parseConventionalTitle,
+  classifyBucket,
+  classifyAudience,
+  buildUpdate,
+  buildUpdateBlock,
+  releaseDateParts,
+  appsForFiles,
+  createGitHubClient,
+  fixtureFileName,
+} from '../lib/release-notes-core.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const API_FIXTURES = path.join(__dirname, 'fixtures', 'api-v3.3.0', 'github');
+
+function loadPull(n) {
+  return JSON.parse(fs.readFileSync(path.join(API_FIXTURES, `repos_Revive-Home_revive-apps_pulls_${n}.json`), 'utf8'));
+}
+
+// ---------------------------------------------------------------------------
+// Title cleaning
+// ---------------------------------------------------------------------------
+test('cleanPRTitle strips conventional-commit prefixes', () => {
+  assert.equal(cleanPRTitle('feat(api): add deal export'), 'Add deal export');
+  assert.equal(cleanPRTitle('fix!: drop legacy stage names'), 'Drop legacy stage names');
+});
+
+test('cleanPRTitle turns branch-style titles into words', () => {
+  assert.equal(cleanPRTitle('TEC-2101/deal-export/Jane-Doe'), 'Deal export');
+});
+
+test('cleanPRTitle sentence-cases shouted titles', () => {
+  assert.equal(cleanPRTitle('SPRINT 15 RELEASE'), 'Sprint 15 release');
+});
+
+test('shouldExcludePRTitle skips staging, merge and release chores', () => {
+  assert.ok(shouldExcludePRTitle('Update staging'));
+  assert.ok(shouldExcludePRTitle('Merge main into feature'));
+  assert.ok(shouldExcludePRTitle('chore(release): 3.3.0'));
+  assert.ok(!shouldExcludePRTitle('feat: add deal export'));
+});
+
+// ---------------------------------------------------------------------------
+// CodeRabbit parsing
+// ---------------------------------------------------------------------------
+test('parseCodeRabbitSummary buckets sections and drops skipped ones', () => {
+  const parsed = parseCodeRabbitSummary(loadPull(401).body);
+  assert.deepEqual(parsed, {
+    new: [
+      'Added `GET /v1/deals/export` to download deals as CSV, filtered by stage and owner.',
+      'Export includes the rush payment date column.',
+    ],
+    improved: [],
+    fixed: ['Fixed deal totals rounding to whole dollars in exports.'],
+    action: ['The `stage` query parameter on `GET /v1/deals/` now requires a stage ID instead of a stage name.'],
+  });
+});
+
+test('parseCodeRabbitSummary returns null when only skipped sections exist', () => {
+  assert.equal(parseCodeRabbitSummary(loadPull(404).body), null);
+});
+
+test('parseCodeRabbitSummary returns null without a marker', () => {
+  assert.equal(parseCodeRabbitSummary('## Summary\n\n- Something'), null);
+  assert.equal(parseCodeRabbitSummary(null), null);
+});
+
+test('extractSummarySection flattens a hand-written summary', () => {
+  assert.equal(
+    extractSummarySection(loadPull(402).body),
+    '`GET /v1/contacts/{id}` now returns `404` instead of `500` when the contact was archived.',
+  );
+});
+
+// ---------------------------------------------------------------------------
+// Bucket classification
+// ---------------------------------------------------------------------------
+const bucketOf = (title, labels = [], body = '') => classifyBucket({ title, labels: labels.map((name) => ({ name })), body }).bucket;
+
+test('parseConventionalTitle reads type, scope and the breaking "!"', () => {
+  assert.deepEqual(parseConventionalTitle('feat(api)!: drop stage names'), {
+    type: 'feat', scope: 'api', breaking: true, subject: 'drop stage names',
+  });
+  assert.equal(parseConventionalTitle('Add deal export'), null);
+});
+
+test('classifyBucket: breaking changes go to Action required, never New', () => {
+  assert.equal(bucketOf('feat(api)!: add stage IDs to deal filters'), 'action');
+  assert.equal(bucketOf('Add stage IDs to deal filters', ['breaking-change']), 'action');
+  assert.equal(bucketOf('feat: add stage IDs', [], 'Adds IDs.\n\nBREAKING CHANGE: stage names are rejected'), 'action');
+});
+
+test('classifyBucket: labels beat the commit type, type beats keywords', () => {
+  assert.equal(bucketOf('feat: deal totals in exports', ['bug']), 'fixed');
+  assert.equal(bucketOf('chore: prefix fix for flaky export test'), 'improved');
+  assert.equal(bucketOf('fix(deps): bump axios'), 'improved');
+  assert.equal(bucketOf('fix(api): archived contacts 404'), 'fixed');
+  assert.equal(bucketOf('Deal board swimlanes'), 'new');
+});
+
+test('buildReleaseEntry moves CodeRabbit features of a breaking PR to Action required', () => {
+  const pr = { ...loadPull(401), title: 'feat(api)!: deal export', body: '## Summary by CodeRabbit\n\n* **New Features**\n  * Deal filters take stage IDs.' };
+  const entry = buildReleaseEntry(pr);
+  assert.deepEqual([entry.new, entry.action], [[], ['Deal filters take stage IDs.']]);
+});
+
+test('classifyAudience: body marker, then labels, then the app default', () => {
+  const pr = (labels, body = '') => ({ labels: labels.map((name) => ({ name })), body });
+  assert.equal(classifyAudience(pr([]), 'api').audience, 'public-api');
+  assert.equal(classifyAudience(pr([]), 'admin').audience, 'internal');
+  assert.equal(classifyAudience(pr(['Internal']), 'api').audience, 'internal');
+  assert.equal(classifyAudience(pr(['internal'], '<!-- release-note: audience=public-api -->'), 'api').audience, 'public-api');
+  assert.equal(classifyAudience(pr([], '<!-- release-note: audience=martians -->'), 'dashboard').audience, 'dashboard');
+});
+
+// ---------------------------------------------------------------------------
+// Author-written release notes
+// ---------------------------------------------------------------------------
+test('parseReleaseNotesSection reads subsections, keeps markdown and joins wrapped bullets', () => {
+  assert.deepEqual(parseReleaseNotesSection(loadPull(407).body), {
+    new: ['Webhook deliveries that fail are retried up to 5 times with exponential backoff. See [Webhooks](/guides/webhooks) for the schedule.'],
+    improved: [],
+    fixed: [],
+    action: ['Webhook receivers must respond within `10s`; slower responses now count as failures.'],
+  });
+});
+
+test('parseReleaseNotesSection accepts bold labels and stops at the next section', () => {
+  const body = '### Release notes\n\n**Fixed**\n- deal totals no longer round\n\n**Improved**\nFaster exports.\n\n### Screenshots\n- not a note';
+  assert.deepEqual(parseReleaseNotesSection(body), {
+    new: [], improved: ['Faster exports.'], fixed: ['Deal totals no longer round.'], action: [],
+  });
+});
+
+test('parseReleaseNotesSection returns null for a missing or empty block', () => {
+  assert.equal(parseReleaseNotesSection('## Summary\n\nStuff'), null);
+  assert.equal(parseReleaseNotesSection('## Release notes\n\n### New\n\nNone\n\n### Fixed\n\n- N/A'), null);
+});
+
+test('hasReleaseNoteSkip finds the opt-out marker', () => {
+  assert.ok(hasReleaseNoteSkip(loadPull(408).body));
+  assert.ok(hasReleaseNoteSkip('text <!--release-note:SKIP--> more'));
+  assert.ok(!hasReleaseNoteSkip(loadPull(407).body));
+});
+
+// ---------------------------------------------------------------------------
+// Entries and rendering
+// ---------------------------------------------------------------------------
+test('buildReleaseEntry records where the text came from', () => {
+  assert.equal(buildReleaseEntry(loadPull(401)).source, 'coderabbit');
+  assert.equal(buildReleaseEntry(loadPull(402)).source, 'summary');
+  assert.equal(buildReleaseEntry(loadPull(407)).source, 'release-notes'); // wins over its CodeRabbit block
+
+  const fromTitle = buildReleaseEntry(loadPull(404));
+  assert.equal(fromTitle.source, 'title');
+  assert.deepEqual(fromTitle.improved, ['Split deal service.']);
+});
+
+test('buildUpdateBlock renders every bucket, with placeholders when empty', () => {
+  const block = buildUpdateBlock('api', [buildReleaseEntry(loadPull(402))], 'September 14, 2026', 'api-v3.3.0');
+  assert.equal(block, [
+    '<Update label="September 14, 2026" description="api-v3.3.0" tags={["api"]}>',
+    '',
+    '### New',
+    '',
+    'No new features in this release.',
+    '',
+    '### Improved',
+    '',
+    'No improvements in this release.',
+    '',
+    '### Fixed',
+    '',
+    '- `GET /v1/contacts/{id}` now returns `404` instead of `500` when the contact was archived. ([#402](https://github.com/Revive-Home/revive-apps/pull/402))',
+    '',
+    '### Action required',
+    '',
+    'No action required for existing integrations.',
+    '',
+    '</Update>',
+  ].join('\n'));
+});
+
+test('buildUpdate merges near-duplicate bullets from different PRs and reports it', () => {
+  const entry = (number, improved) => ({
+    number, url: `https://github.com/Revive-Home/revive-apps/pull/${number}`, new: [], improved, fixed: [], action: [],
+  });
+  const merges = [];
+  const update = buildUpdate('dashboard', [
+    entry(501, ['Improved loading speed of the deal list.', 'Added keyboard shortcuts.']),
+    entry(502, ['Improved the loading speed for the deal list.']),
+    entry(503, ['Deal list loading speed improved.']),
+  ], 'September 14, 2026', 'dashboard-v2.13.0', { onMerge: (m) => merges.push(m) });
+
+  const improved = update.sections.find((s) => s.bucket === 'improved').lines.filter((l) => l.type === 'bullet');
+  assert.deepEqual(improved.map((b) => [b.text, b.links.map((l) => l.number)]), [
+    ['Improved the loading speed for the deal list.', [501, 502, 503]],
+    ['Added keyboard shortcuts.', [501]],
+  ]);
+  assert.equal(merges.length, 1);
+  assert.equal(merges[0].bucket, 'improved');
+  assert.equal(merges[0].merged.length, 3);
+});
+
+test('appsForFiles attributes a PR to every app whose paths it touched', () => {
+  const appPaths = { 'apps/dashboard/**': 'dashboard', 'apps/api/**': 'api', 'packages/ui/**': ['dashboard', 'admin'] };
+  assert.deepEqual(appsForFiles(['apps/api/src/a.ts', 'apps/dashboard/src/b.tsx'], appPaths), ['dashboard', 'api']);
+  assert.deepEqual(appsForFiles(['packages/ui/Button.tsx'], appPaths), ['dashboard', 'admin']);
+  assert.deepEqual(appsForFiles(['README.md'], appPaths), []);
+});
+
+test('releaseDateParts dates a release in the configured timezone', () => {
+  assert.deepEqual(releaseDateParts('2026-09-01T02:00:00Z'), {
+    label: 'September 1, 2026', monthTitle: 'September 2026', monthSlug: 'september-2026',
+  });
+  assert.deepEqual(releaseDateParts('2026-09-01T02:00:00Z', 'America/Los_Angeles'), {
+    label: 'August 31, 2026', monthTitle: 'August 2026', monthSlug: 'august-2026',
+  });
+  assert.equal(releaseDateParts('2026-08-31', 'Asia/Tokyo').label, 'August 31, 2026');
+  assert.throws(() => releaseDateParts('next week'), /Invalid release date/);
+});
+
+// ---------------------------------------------------------------------------
+// Fixture client
+// ---------------------------------------------------------------------------
+test('fixture client replays recorded responses without a token', async () => {
+  const gh = createGitHubClient({ fixturesDir: API_FIXTURES });
+  const pr = await gh.fetchPull('revive-apps', 402);
+  assert.equal(pr.number, 402);
+});
+
+test('fixture client names the missing file when a response is not recorded', async () => {
+  const gh = createGitHubClient({ fixturesDir: API_FIXTURES });
+  const url = 'https://api.github.com/repos/Revive-Home/revive-apps/pulls/999';
+  await assert.rejects(gh.getJson(url), new RegExp(fixtureFileName(url).replace(/\./g, '\\.')));
+});
+
+// Writes one fixture file per page and returns a replaying client
+function pagedClient(pages) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gh-pages-'));
+  for (const [url, data] of Object.entries(pages)) {
+    fs.writeFileSync(path.join(dir, fixtureFileName(url)), JSON.stringify(data));
+  }
+  return { gh: createGitHubClient({ fixturesDir: dir }), dir };
+}
+
+function commits(n, from = 0) {
+  return Array.from({ length: n }, (_, i) => ({ sha: `c${from + i}` }));
+}
+
+test('getPaginated follows compare pages until total_commits is reached', async (t) => {
+  const base = 'https://api.github.com/repos/Revive-Home/revive-apps/compare/api-v3.2.0...api-v3.3.0';
+  const { gh, dir } = pagedClient({
+    [`${base}?per_page=100&page=1`]: { total_commits: 300, commits: commits(100) },
+    [`${base}?per_page=100&page=2`]: { total_commits: 300, commits: commits(100, 100) },
+    [`${base}?per_page=100&page=3`]: { total_commits: 300, commits: commits(100, 200) },
+  });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const all = await gh.getPaginated(base, { select: (d) => d.commits, total: (d) => d.total_commits });
+  assert.equal(all.length, 300);
+  assert.equal(all[299].sha, 'c299');
+  assert.equal(warn.mock.callCount(), 0);
+});
+
+test('getPaginated warns when results stop short or hit maxItems', async (t) => {
+  const search = 'https://api.github.com/search/issues?q=is%3Apr';
+  const list = 'https://api.github.com/repos/Revive-Home/revive-apps/commits?sha=api-v1.0.0';
+  const { gh, dir } = pagedClient({
+    [`${search}&per_page=100&page=1`]: { total_count: 150, items: commits(100) },
+    [`${search}&per_page=100&page=2`]: { total_count: 150, items: [] },
+    [`${list}&per_page=100&page=1`]: commits(100),
+    [`${list}&per_page=100&page=2`]: commits(100, 100),
+  });
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const items = await gh.getPaginated(search, { select: (d) => d.items, total: (d) => d.total_count });
+  assert.equal(items.length, 100);
+  assert.match(warn.mock.calls[0].arguments[0], /Only fetched 100 of 150 results/);
+
+  const capped = await gh.getPaginated(list, { maxItems: 200 });
+  assert.equal(capped.length, 200);
+  assert.match(warn.mock.calls[1].arguments[0], /Only fetched the first 200 results/);
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  parseReleaseNotes,
+  serializeReleaseNotes,
+  parseBullet,
+  serializeLine,
+  createUpdate,
+  createReleaseNotesDoc,
+  bulletsIn,
+  findUpdate,
+  prependUpdates,
+} from '../lib/release-notes-mdx.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..', '..');
+
+const SAMPLE = `---
+title: "May 2026"
+description: "May 2026 release notes — \\"quoted\\" bits"
+---
+
+<Update label="Week of May 25, 2026" description="Weekly recap" tags={["revive-api", "revive-admin"]}>
+
+A skim-friendly recap.
+
+### New
+
+- **Public status page.** Live status for every provider.
+
+### Action required
+
+None.
+
+</Update>
+
+
+<Update label="May 22, 2026" description="dashboard-v2.5.0" tags={["dashboard"]}>
+
+### Fixed
+
+- Consistent typography in PDF notes. ([#12](https://github.com/Revive-Home/revive-apps/pull/12), [#14](https://github.com/Revive-Home/revive-apps/pull/14))
+  - nested detail
+
+</Update>
+`;
+
+test('serializeReleaseNotes(parseReleaseNotes(x)) is byte-identical for every release-notes file', () => {
+  const files = [
+    path.join(ROOT, 'release-notes.mdx'),
+    ...fs.readdirSync(path.join(ROOT, 'release-notes'))
+      .filter((f) => f.endsWith('.mdx'))
+      .map((f) => path.join(ROOT, 'release-notes', f)),
+  ];
+  for (const file of files) {
+    const text = fs.readFileSync(file, 'utf8');
+    assert.equal(serializeReleaseNotes(parseReleaseNotes(text)), text, path.relative(ROOT, file));
+  }
+});
+
+test('parseReleaseNotes exposes frontmatter, updates, sections and bullets', () => {
+  const doc = parseReleaseNotes(SAMPLE);
+  assert.deepEqual(doc.frontmatter, { title: 'May 2026', description: 'May 2026 release notes — "quoted" bits' });
+  assert.equal(doc.updates.length, 2);
+
+  const [recap, release] = doc.updates;
+  assert.deepEqual(recap.tags, ['revive-api', 'revive-admin']);
+  assert.deepEqual(recap.intro, ['', 'A skim-friendly recap.', '']);
+  assert.deepEqual(recap.sections.map((s) => s.bucket), ['new', 'action']);
+  assert.equal(release.leading, '\n\n\n');
+
+  const [fix] = bulletsIn(release, 'fixed');
+  assert.equal(fix.text, 'Consistent typography in PDF notes.');
+  assert.deepEqual(fix.links.map((l) => l.number), [12, 14]);
+  assert.equal(serializeReleaseNotes(doc), SAMPLE);
+});
+
+test('parseBullet keeps unlinked bullets and nested lines intact', () => {
+  assert.deepEqual(parseBullet('- No PR link here.'), { type: 'bullet', text: 'No PR link here.', links: [] });
+  assert.equal(parseBullet('  - nested'), null);
+  const line = '- Text with [a link](/guides/x). ([#7](https://github.com/o/r/pull/7))';
+  assert.equal(serializeLine(parseBullet(line)), line);
+});
+
+test('findUpdate matches a single-repo block by version', () => {
+  const doc = parseReleaseNotes(SAMPLE);
+  assert.equal(findUpdate(doc, 'dashboard-v2.5.0', 'dashboard').label, 'May 22, 2026');
+  assert.equal(findUpdate(doc, 'Weekly recap', 'revive-api'), null);
+});
+
+test('prependUpdates inserts after the frontmatter with one blank line between blocks', () => {
+  const doc = createReleaseNotesDoc({ title: 'June 2026', description: 'June' });
+  prependUpdates(doc, [createUpdate({
+    label: 'June 2, 2026',
+    description: 'api-v3.0.0',
+    tags: ['api'],
+    buckets: { new: [{ text: 'Added things.', links: [{ number: 1, url: 'https://example.com/1' }] }] },
+  })]);
+  prependUpdates(doc, [createUpdate({ label: 'June 9, 2026', description: 'api-v3.0.1', tags: ['api'], buckets: {} })]);
+
+  const text = serializeReleaseNotes(doc);
+  assert.match(text, /^---\ntitle: "June 2026"\ndescription: "June"\n---\n\n<Update label="June 9, 2026"/);
+  assert.match(text, /<\/Update>\n\n<Update label="June 2, 2026"/);
+  assert.match(text, /- Added things\. \(\[#1\]\(https:\/\/example\.com\/1\)\)/);
+  assert.match(text, /### Fixed\n\nNo bug fixes in this release\.\n\n/);
+  assert.ok(text.endsWith('</Update>\n'));
+  assert.equal(serializeReleaseNotes(parseReleaseNotes(text)), text);
+});
+
+test('prependUpdates keeps the text between the frontmatter and the first block above the new ones', () => {
+  const page = `---
+title: May 2026
+description: 'May'
+---
+
+import Note from '/snippets/note.mdx';
+
+Releases for May.
+
+<Update label="May 22, 2026" description="dashboard-v2.5.0" tags={["dashboard"]}>
+</Update>
+`;
+  const doc = parseReleaseNotes(page);
+  prependUpdates(doc, [createUpdate({ label: 'May 29, 2026', description: 'dashboard-v2.6.0', tags: ['dashboard'], buckets: {} })]);
+
+  const text = serializeReleaseNotes(doc);
+  assert.ok(text.startsWith(`---
+title: May 2026
+description: 'May'
+---
+
+import Note from '/snippets/note.mdx';
+
+Releases for May.
+
+<Update label="May 29, 2026"`));
+  assert.match(text, /<\/Update>\n\n<Update label="May 22, 2026"/);
+
+  doc.frontmatter.description = 'May "26"';
+  assert.ok(serializeReleaseNotes(doc).startsWith('---\ntitle: "May 2026"\ndescription: "May \\"26\\""\n---\n'));
+});
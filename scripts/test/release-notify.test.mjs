@@ -0,0 +1,258 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { parseReleaseNotes } from '../lib/release-notes-mdx.mjs';
+import {
+  buildReleaseMessage,
+  renderPlainText,
+  createSlackSink,
+  createTeamsSink,
+  createWebhookSink,
+  createEmailSink,
+  sendMail,
+  sinksFromEnv,
+} from '../lib/release-notify.mjs';
+
+const PAGE = `---
+title: "Release notes"
+---
+
+<Update label="September 14, 2026" description="api-v3.3.0" tags={["api"]}>
+
+### New
+
+- **Deal export.** Added \`GET /v1/deals/export\`. ([#401](https://github.com/Revive-Home/revive-apps/pull/401))
+- Webhook retries. See [Webhooks](/guides/webhooks). ([#407](https://github.com/Revive-Home/revive-apps/pull/407))
+- Contact search & filters. ([#409](https://github.com/Revive-Home/revive-apps/pull/409))
+
+### Improved
+
+- Faster deal list. ([#404](https://github.com/Revive-Home/revive-apps/pull/404))
+
+### Fixed
+
+No bug fixes in this release.
+
+### Action required
+
+- The \`stage\` filter takes a stage ID. ([#401](https://github.com/Revive-Home/revive-apps/pull/401))
+
+</Update>
+
+<Update label="September 14, 2026" description="api-v3.3.0" tags={["revive-dashboard"]}>
+
+### New
+
+- Contact search & filters. ([#409](https://github.com/Revive-Home/revive-apps/pull/409))
+
+</Update>
+`;
+
+const APPS = { dashboard: { name: 'dashboard' }, api: { name: 'API' } };
+
+function message(options = {}) {
+  return buildReleaseMessage(parseReleaseNotes(PAGE).updates, {
+    version: 'api-v3.3.0',
+    apps: APPS,
+    pageUrl: 'https://docs.example.com/release-notes',
+    topNewItems: 2,
+    ...options,
+  });
+}
+
+// Local stand-in for a webhook; `respond()` returns [status, body]
+async function withHttpStub(respond, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(raw) });
+      const [status, body] = respond();
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(body);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/hook`, requests);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+// Local SMTP server that accepts everything and records the session
+async function withSmtpStub({ starttls = false } = {}, fn) {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+    socket.setEncoding('utf8');
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let i;
+      while ((i = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            session.data += `${line}\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write(`250-stub\r\n250-AUTH PLAIN\r\n${starttls ? '250-STARTTLS\r\n' : ''}250 8BITMIME\r\n`);
+        else if (verb === 'AUTH') socket.write('235 ok\r\n');
+        else if (verb === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (verb === 'QUIT') socket.end('221 bye\r\n');
+        else if (verb === 'STARTTLS') socket.write('454 TLS not available\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(server.address().port, sessions);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('buildReleaseMessage counts buckets and keeps the top New and every Action required item', () => {
+  const m = message({ auditItems: 3, note: 'Ask #docs for access.' });
+  assert.equal(m.title, 'api-v3.3.0 released for the API, dashboard');
+  assert.deepEqual(m.counts, { new: 3, improved: 1, fixed: 0, action: 1 });
+  assert.deepEqual(m.topNew.map((b) => b.text), [
+    '**Deal export.** Added `GET /v1/deals/export`.',
+    'Webhook retries. See [Webhooks](https://docs.example.com/guides/webhooks).',
+  ]);
+  assert.equal(m.moreNew, 1);
+  assert.equal(m.action.length, 1);
+
+  assert.equal(renderPlainText(m), [
+    'api-v3.3.0 released for the API, dashboard',
+    '3 new · 1 improved · 1 action required',
+    '',
+    'New',
+    '- Deal export. Added GET /v1/deals/export. (#401)',
+    '- Webhook retries. See Webhooks (https://docs.example.com/guides/webhooks). (#407)',
+    '- ...and 1 more',
+    '',
+    'Action required',
+    '- The stage filter takes a stage ID. (#401)',
+    '',
+    'Release notes: https://docs.example.com/release-notes',
+    'Docs audit: 3 item(s) to review in audit-report.md',
+    '',
+    'Ask #docs for access.',
+  ].join('\n'));
+  assert.throws(() => buildReleaseMessage([], { version: 'api-v9.9.9', apps: APPS, pageUrl: 'https://docs.example.com' }), /No <Update> blocks for api-v9\.9\.9/);
+});
+
+test('slack sink posts mrkdwn to the webhook', async () => {
+  await withHttpStub(() => [200, 'ok'], async (url, requests) => {
+    await createSlackSink({ webhookUrl: url, mention: '<!channel>' }).send(message());
+    assert.equal(requests.length, 1);
+    const { text, unfurl_links } = requests[0].body;
+    assert.equal(unfurl_links, false);
+    assert.match(text, /^<!channel> :rocket: \*api-v3\.3\.0 released for the API, dashboard\*\n3 new · 1 improved · 1 action required\n/);
+    assert.match(text, /• \*Deal export\.\* Added `GET \/v1\/deals\/export`\. \(<https:\/\/github\.com\/Revive-Home\/revive-apps\/pull\/401\|#401>\)/);
+    assert.match(text, /See <https:\/\/docs\.example\.com\/guides\/webhooks\|Webhooks>/);
+    assert.match(text, /:warning: \*Action required\*\n• The `stage` filter/);
+    assert.match(text, /<https:\/\/docs\.example\.com\/release-notes\|:clipboard: View release notes>$/);
+  });
+});
+
+test('teams sink posts an Adaptive Card', async () => {
+  await withHttpStub(() => [202, ''], async (url, requests) => {
+    await createTeamsSink({ webhookUrl: url }).send(message());
+    const [attachment] = requests[0].body.attachments;
+    assert.equal(attachment.contentType, 'application/vnd.microsoft.card.adaptive');
+    const texts = attachment.content.body.map((b) => b.text);
+    assert.deepEqual(texts.slice(0, 4), [
+      'api-v3.3.0 released for the API, dashboard',
+      '3 new · 1 improved · 1 action required',
+      'New',
+      '• **Deal export.** Added GET /v1/deals/export. ([#401](https://github.com/Revive-Home/revive-apps/pull/401))',
+    ]);
+    assert.ok(texts.includes('Action required'));
+    assert.deepEqual(attachment.content.actions, [{ type: 'Action.OpenUrl', title: 'View release notes', url: 'https://docs.example.com/release-notes' }]);
+  });
+});
+
+test('webhook sink posts the message as JSON with a bearer token', async () => {
+  await withHttpStub(() => [200, ''], async (url, requests) => {
+    await createWebhookSink({ url, token: 'secret' }).send(message());
+    assert.equal(requests[0].headers.authorization, 'Bearer secret');
+    const body = requests[0].body;
+    assert.equal(body.event, 'release-notes.published');
+    assert.equal(body.version, 'api-v3.3.0');
+    assert.deepEqual(body.counts, { new: 3, improved: 1, fixed: 0, action: 1 });
+    assert.equal(body.text, renderPlainText(message()));
+  });
+});
+
+test('http sinks reject when the endpoint fails', async () => {
+  await withHttpStub(() => [500, 'invalid_payload'], async (url) => {
+    await assert.rejects(createSlackSink({ webhookUrl: url }).send(message()), /500 Internal Server Error: invalid_payload/);
+  });
+});
+
+test('email sink sends a plain-text message over SMTP', async () => {
+  await withSmtpStub({}, async (port, sessions) => {
+    const sink = createEmailSink({
+      host: '127.0.0.1', port, user: 'notes', pass: 'pw', allowInsecureAuth: true,
+      from: 'Revive <notes@example.com>', to: ['eng@example.com', 'ops@example.com'],
+    });
+    await sink.send(message());
+
+    const [session] = sessions;
+    assert.deepEqual(session.commands.filter((c) => !c.startsWith('EHLO')), [
+      `AUTH PLAIN ${Buffer.from('\0notes\0pw').toString('base64')}`,
+      'MAIL FROM:<notes@example.com>',
+      'RCPT TO:<eng@example.com>',
+      'RCPT TO:<ops@example.com>',
+      'DATA',
+      'QUIT',
+    ]);
+    const [headers, body] = session.data.split('\n\n');
+    assert.match(headers, /^From: Revive <notes@example\.com>\nTo: eng@example\.com, ops@example\.com\nSubject: api-v3\.3\.0 released for the API, dashboard\n/);
+    assert.match(headers, /Content-Transfer-Encoding: base64/);
+    assert.equal(Buffer.from(body.replace(/\n/g, ''), 'base64').toString(), renderPlainText(message()).replace(/\n/g, '\r\n'));
+  });
+});
+
+test('sendMail will not send a password without TLS and reports SMTP errors', async () => {
+  await withSmtpStub({}, async (port, sessions) => {
+    const mail = { host: '127.0.0.1', port, from: 'notes@example.com', to: ['eng@example.com'], subject: 'Hi', text: 'Hi' };
+    await assert.rejects(sendMail({ ...mail, user: 'notes', pass: 'pw' }), /refusing to send the password in plain text/);
+    assert.ok(!sessions[0].commands.some((c) => c.startsWith('AUTH')));
+  });
+  await withSmtpStub({ starttls: true }, async (port) => {
+    const mail = { host: '127.0.0.1', port, from: 'notes@example.com', to: ['eng@example.com'], subject: 'Hi', text: 'Hi' };
+    await assert.rejects(sendMail(mail), /SMTP STARTTLS failed: 454 TLS not available/);
+  });
+});
+
+test('sinksFromEnv turns on the sinks whose env vars are set', () => {
+  assert.deepEqual(sinksFromEnv({}), []);
+  const sinks = sinksFromEnv({
+    SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/x',
+    RELEASE_WEBHOOK_URL: 'https://example.com/hook',
+    SMTP_HOST: 'smtp.example.com',
+    SMTP_FROM: 'notes@example.com',
+    SMTP_TO: 'eng@example.com, ops@example.com',
+  }, { slackMention: '<!here>' });
+  assert.deepEqual(sinks.map((s) => s.name), ['slack', 'webhook', 'email']);
+  assert.match(sinks[0].format(message()).text, /^<!here> /);
+  assert.deepEqual(sinks[2].format(message()).to, ['eng@example.com', 'ops@example.com']);
+  assert.throws(() => sinksFromEnv({ SMTP_HOST: 'smtp.example.com' }), /needs an SMTP host, a from address and at least one recipient/);
+});
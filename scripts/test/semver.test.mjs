@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSemver,
+  compareSemver,
+  parseReleaseTag,
+  previousReleaseTag,
+  monotonicityError,
+} from '../lib/semver.mjs';
+
+test('parseSemver reads major.minor.patch with pre-release and build', () => {
+  assert.deepEqual(parseSemver('3.3.0'), { major: 3, minor: 3, patch: 0, prerelease: [], build: '' });
+  assert.deepEqual(parseSemver('3.3.0-rc.1+sha.abc'), { major: 3, minor: 3, patch: 0, prerelease: ['rc', '1'], build: 'sha.abc' });
+  for (const bad of ['3.3', '03.3.0', '3.3.0.1', 'v3.3.0', '3.3.0-', '']) {
+    assert.equal(parseSemver(bad), null, bad);
+  }
+});
+
+test('parseReleaseTag requires the app prefix', () => {
+  assert.equal(parseReleaseTag('api-v3.3.0', 'api-v').version.minor, 3);
+  assert.equal(parseReleaseTag('v1.81.0', 'v').version.minor, 81);
+  assert.equal(parseReleaseTag('dashboard-v2.5.0', 'api-v'), null);
+  assert.equal(parseReleaseTag('api-v3.3', 'api-v'), null);
+  assert.equal(parseReleaseTag(undefined, 'v'), null);
+});
+
+test('compareSemver follows semver precedence', () => {
+  const sorted = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0', '1.9.0', '1.10.0', '2.0.0'];
+  for (let i = 1; i < sorted.length; i++) {
+    assert.ok(compareSemver(parseSemver(sorted[i - 1]), parseSemver(sorted[i])) < 0, `${sorted[i - 1]} < ${sorted[i]}`);
+  }
+  assert.equal(compareSemver(parseSemver('1.0.0+a'), parseSemver('1.0.0+b')), 0);
+});
+
+test('previousReleaseTag picks the highest stable version below the current one', () => {
+  const tags = ['api-v3.3.0', 'api-v3.10.0', 'api-v3.2.0', 'api-v3.3.0-rc.1', 'api-v3.2', 'dashboard-v3.2.5', 'api-v3.1.9'];
+  assert.equal(previousReleaseTag(tags, 'api-v3.3.0', 'api-v'), 'api-v3.2.0');
+  assert.equal(previousReleaseTag(tags, 'api-v3.10.0', 'api-v'), 'api-v3.3.0');
+  assert.equal(previousReleaseTag(tags, 'api-v3.1.9', 'api-v'), null);
+  assert.equal(previousReleaseTag(['v1.81.0', 'v1.9.0'], 'v1.82.0', 'v'), 'v1.81.0');
+});
+
+test('monotonicityError flags versions that do not increase', () => {
+  const releases = [
+    { tag: 'api-v3.2.0', publishedAt: '2026-07-01T00:00:00Z' },
+    { tag: 'api-v3.3.0-rc.1', publishedAt: '2026-07-10T00:00:00Z' },
+  ];
+  assert.equal(monotonicityError(releases, 'api-v3.3.0', 'api-v'), null);
+  assert.equal(monotonicityError(releases, 'api-v3.2.0', 'api-v'), null);
+  assert.equal(monotonicityError(releases, 'api-v3.1.0', 'api-v'), 'api-v3.1.0 is not newer than api-v3.2.0, which was released first');
+
+  // Re-running for an old release ignores everything published after it
+  const later = [...releases, { tag: 'api-v3.1.0', publishedAt: '2026-06-01T00:00:00Z' }];
+  assert.equal(monotonicityError(later, 'api-v3.1.0', 'api-v'), null);
+  const hotfix = [...releases, { tag: 'api-v3.1.0', publishedAt: '2026-08-01T00:00:00Z' }];
+  assert.match(monotonicityError(hotfix, 'api-v3.1.0', 'api-v'), /not newer than api-v3\.2\.0/);
+});
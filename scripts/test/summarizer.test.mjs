@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildReleaseEntry, mergeEntryBullets, buildUpdate } from '../lib/release-notes-core.mjs';
+import {
+  STYLE_EXAMPLES,
+  createRuleSummarizer,
+  createLlmSummarizer,
+  createSummarizer,
+  formatSummary,
+  summarizeEntry,
+} from '../lib/summarizer.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const API_FIXTURES = path.join(__dirname, 'fixtures', 'api-v3.3.0', 'github');
+const MAY_2026 = fs.readFileSync(path.resolve(__dirname, '..', '..', 'release-notes', 'may-2026.mdx'), 'utf8');
+
+function loadPull(n) {
+  return JSON.parse(fs.readFileSync(path.join(API_FIXTURES, `repos_Revive-Home_revive-apps_pulls_${n}.json`), 'utf8'));
+}
+
+// Local stand-in for an LLM endpoint; `respond(body)` returns [status, json]
+async function withStub(respond, fn) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push({ headers: req.headers, body });
+      const [status, json] = respond(body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/summarize`, requests);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+const input = {
+  title: 'feat(dashboard): add PDF download for preliminary estimates',
+  body: '',
+  bucket: 'new',
+  app: 'dashboard',
+  appName: 'dashboard',
+  bullets: ['Added a one-click PDF export to the preliminary estimate view.', 'files are named after the property address'],
+};
+
+test('rule summarizer turns the title into a headline and the first bullet into a sentence', () => {
+  const result = createRuleSummarizer().summarize(input);
+  assert.deepEqual(result, {
+    headline: 'PDF download for preliminary estimates',
+    sentence: 'Added a one-click PDF export to the preliminary estimate view.',
+  });
+});
+
+test('rule summarizer output reads like the hand-edited May 2026 entries', () => {
+  const summarize = (title, bullets) => `- ${formatSummary(createRuleSummarizer().summarize({ ...input, title, bullets }))}`;
+  const lines = MAY_2026.split('\n');
+
+  const pdf = summarize('feat(dashboard): add PDF download for preliminary estimates', [
+    'A one-click PDF export is available from the preliminary estimate view, with an address-based filename so files are easy to find and share.',
+    'Added a `downloadEstimatePdf` action to the estimate toolbar.',
+  ]);
+  assert.ok(lines.includes(pdf), pdf);
+
+  // A second sentence ("For users: ...") is dropped, as the editors did
+  const vercel = summarize('fix: resolve Vercel build stability', [
+    'Resolved module-resolution issues that intermittently broke dashboard and admin deployments on Vercel. For users: more reliable production releases with fewer deploy-time hiccups.',
+    'Pinned `moduleResolution` in the shared tsconfig.',
+  ]);
+  assert.equal(vercel, '- **Vercel build stability.** Resolved module-resolution issues that intermittently broke dashboard and admin deployments on Vercel.');
+  assert.ok(lines.includes(vercel), vercel);
+});
+
+test('rule summarizer leaves a bullet that only repeats the title alone', async () => {
+  const pr = { title: 'refactor: split deal service', body: '' };
+  assert.equal(createRuleSummarizer().summarize({ ...input, title: pr.title, bucket: 'improved', appName: 'API', bullets: ['Split deal service.'] }), null);
+  assert.equal(createRuleSummarizer().summarize({ ...input, title: 'fix: photo upload crash', bucket: 'fixed', bullets: ['Fix photo upload crash.'] }), null);
+  const entry = { new: [], improved: ['Split deal service.'], fixed: [], action: [], source: 'title' };
+  await summarizeEntry(entry, pr, 'api', createRuleSummarizer(), 'API');
+  assert.deepEqual(entry.improved, ['Split deal service.']);
+});
+
+test('summarizeEntry keeps Action required bullets whole and every bullet in details', async () => {
+  const entry = {
+    new: ['Added stage IDs to `GET /v1/stages`.', 'Stage names are listed next to their IDs.'],
+    improved: [],
+    fixed: [],
+    action: ['The `stage` filter takes a stage ID.', 'Old stage names are rejected with a `422`.'],
+    source: 'coderabbit',
+  };
+  await summarizeEntry(entry, { title: 'feat(api)!: stage IDs', body: '' }, 'api', createRuleSummarizer(), 'API');
+  assert.deepEqual(entry.new, ['**Stage IDs.** Added stage IDs to `GET /v1/stages`.']);
+  assert.deepEqual(entry.details.new, ['Added stage IDs to `GET /v1/stages`.', 'Stage names are listed next to their IDs.']);
+  assert.deepEqual(entry.action, ['The `stage` filter takes a stage ID.', 'Old stage names are rejected with a `422`.']);
+});
+
+test('summarizeEntry rewrites generated entries and leaves author-written ones alone', async () => {
+  const summarizer = createRuleSummarizer();
+  const pr401 = loadPull(401);
+  const entry = await summarizeEntry(buildReleaseEntry(pr401), pr401, 'api', summarizer, 'API');
+  assert.equal(entry.summarizer, 'rules');
+  assert.deepEqual(entry.new, [
+    '**Deal export.** Added `GET /v1/deals/export` to download deals as CSV, filtered by stage and owner.',
+  ]);
+  assert.equal(entry.details.new.length, 2);
+  assert.deepEqual(entry.improved, []);
+
+  const pr407 = loadPull(407);
+  const authored = buildReleaseEntry(pr407);
+  assert.deepEqual(await summarizeEntry(structuredClone(authored), pr407, 'api', summarizer), authored);
+});
+
+test('near-duplicate bullets from two PRs merge before the rules summarize them', async () => {
+  const pull = (number, title, bullet) => ({
+    number,
+    title,
+    html_url: `https://github.com/Revive-Home/revive-apps/pull/${number}`,
+    merged_at: `2026-09-0${number - 500}T10:00:00Z`,
+    body: `<!-- This is an auto-generated comment: release notes by coderabbit.ai -->\n## Summary by CodeRabbit\n\n* **Improvements**\n  * ${bullet}\n\n<!-- end of auto-generated comment: release notes by coderabbit.ai -->`,
+    labels: [],
+  });
+  const prs = [
+    pull(502, 'perf: faster deal list', 'Improved the loading speed for the deal list.'),
+    pull(501, 'perf(dashboard): deal list pagination', 'Improved loading speed of the deal list.'),
+  ];
+  const entries = prs.map(buildReleaseEntry);
+  const merges = [];
+  mergeEntryBullets(entries, { onMerge: (m) => merges.push(m) });
+  const summarizer = createRuleSummarizer();
+  for (const [i, entry] of entries.entries()) await summarizeEntry(entry, prs[i], 'dashboard', summarizer);
+
+  assert.equal(merges.length, 1);
+  const update = buildUpdate('dashboard', entries, 'September 14, 2026', 'dashboard-v2.13.0');
+  const improved = update.sections.find((s) => s.bucket === 'improved').lines.filter((l) => l.type === 'bullet');
+  assert.deepEqual(improved.map((b) => [b.text, b.links.map((l) => l.number)]), [
+    ['**Faster deal list.** Improved the loading speed for the deal list.', [502, 501]],
+  ]);
+});
+
+test('llm summarizer posts the input with style examples and uses the answer', async () => {
+  await withStub(() => [200, { headline: 'PDF export for estimates.', sentence: 'Download any preliminary estimate as a PDF' }], async (endpoint, requests) => {
+    const summarizer = createLlmSummarizer({ endpoint, token: 'secret' });
+    const result = await summarizer.summarize(input);
+    assert.equal(formatSummary(result), '**PDF export for estimates.** Download any preliminary estimate as a PDF.');
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].headers.authorization, 'Bearer secret');
+    assert.deepEqual(requests[0].body, { ...input, examples: STYLE_EXAMPLES });
+  });
+});
+
+test('llm summarizer falls back to the rules on errors and malformed answers', async () => {
+  const rules = createRuleSummarizer().summarize(input);
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg) => warnings.push(msg);
+  try {
+    await withStub(() => [500, { error: 'overloaded' }], async (endpoint) => {
+      assert.deepEqual(await createLlmSummarizer({ endpoint }).summarize(input), rules);
+    });
+    await withStub(() => [200, { headline: 'Only a headline' }], async (endpoint) => {
+      assert.deepEqual(await createLlmSummarizer({ endpoint }).summarize(input), rules);
+    });
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /Summarizer endpoint failed .*500/);
+  assert.match(warnings[1], /missing headline or sentence/);
+});
+
+test('createSummarizer picks the provider from env, then config, and defaults to rules', () => {
+  assert.equal(createSummarizer({}, {}).name, 'rules');
+  assert.equal(createSummarizer({ provider: 'rules' }, {}).name, 'rules');
+  assert.equal(createSummarizer({ provider: 'rules' }, { RELEASE_SUMMARIZER: 'none' }), null);
+  assert.equal(createSummarizer({ provider: 'llm', endpoint: 'https://summarize.example.com' }, {}).name, 'llm');
+  assert.throws(() => createSummarizer({ provider: 'llm' }, {}), /needs an endpoint/);
+  assert.throws(() => createSummarizer({}, { RELEASE_SUMMARIZER: 'gpt' }), /Unknown summarizer "gpt"/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unifiedDiff } from '../lib/unified-diff.mjs';
+
+test('unifiedDiff returns an empty string for identical input', () => {
+  assert.equal(unifiedDiff('a\nb\n', 'a\nb\n'), '');
+});
+
+test('unifiedDiff renders an insertion with surrounding context', () => {
+  const before = ['---', 'title: x', '---', '', 'old 1', 'old 2', 'old 3', 'old 4', ''].join('\n');
+  const after = ['---', 'title: x', '---', '', 'new', '', 'old 1', 'old 2', 'old 3', 'old 4', ''].join('\n');
+  assert.equal(unifiedDiff(before, after, { fromFile: 'a/f.mdx', toFile: 'b/f.mdx' }), [
+    '--- a/f.mdx',
+    '+++ b/f.mdx',
+    '@@ -2,6 +2,8 @@',
+    ' title: x',
+    ' ---',
+    ' ',
+    '+new',
+    '+',
+    ' old 1',
+    ' old 2',
+    ' old 3',
+    '',
+  ].join('\n'));
+});
+
+test('unifiedDiff treats a new file as all additions', () => {
+  assert.equal(unifiedDiff('', 'one\ntwo\n', { fromFile: '/dev/null', toFile: 'b/new.mdx' }), [
+    '--- /dev/null',
+    '+++ b/new.mdx',
+    '@@ -0,0 +1,2 @@',
+    '+one',
+    '+two',
+    '',
+  ].join('\n'));
+});
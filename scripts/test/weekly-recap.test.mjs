@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReleaseNotes, serializeReleaseNotes, bulletsIn } from '../lib/release-notes-mdx.mjs';
+import {
+  parseIsoWeek,
+  parseDateLabel,
+  weekLabel,
+  updatesInWeek,
+  buildWeeklyRecap,
+  upsertWeeklyRecap,
+} from '../lib/weekly-recap.mjs';
+
+const PAGE = `---
+title: "August 2026"
+description: "August 2026 release notes."
+---
+
+<Update label="August 13, 2026" description="dashboard-v2.12.0" tags={["dashboard"]}>
+
+### New
+
+- Added cloud photo folders. ([#354](https://github.com/Revive-Home/revive-apps/pull/354))
+
+### Fixed
+
+- **Vercel build stability.** Fixed intermittent deploy failures. ([#340](https://github.com/Revive-Home/revive-apps/pull/340))
+
+</Update>
+
+<Update label="August 11, 2026" description="admin-v3.14.0" tags={["admin"]}>
+
+### Fixed
+
+- **Vercel build stability.** Fixed intermittent deploy failures ([#341](https://github.com/Revive-Home/revive-apps/pull/341))
+
+</Update>
+
+<Update label="August 6, 2026" description="api-v3.11.0" tags={["api"]}>
+
+### New
+
+- Added \`GET /v1/vendors\`. ([#330](https://github.com/Revive-Home/revive-apps/pull/330))
+
+</Update>
+`;
+
+test('parseIsoWeek accepts ISO weeks and dates, with weeks starting on Monday', () => {
+  const week = parseIsoWeek('2026-W33');
+  assert.equal(week.start.toISOString(), '2026-08-10T00:00:00.000Z');
+  assert.equal(week.end.toISOString(), '2026-08-17T00:00:00.000Z');
+  assert.equal(weekLabel(week), 'Week of August 10, 2026');
+
+  assert.equal(parseIsoWeek('2026-08-16').week, 33);
+  assert.equal(parseIsoWeek('2027-01-01').year, 2026); // a Friday in 2026-W53
+  assert.throws(() => parseIsoWeek('2026-W54'), /Invalid ISO week/);
+  assert.throws(() => parseIsoWeek('last week'), /Invalid week/);
+});
+
+test('parseDateLabel only reads dated labels', () => {
+  assert.equal(parseDateLabel('May 25, 2026').toISOString(), '2026-05-25T12:00:00.000Z');
+  assert.equal(parseDateLabel('Week of May 25, 2026'), null);
+  assert.equal(parseDateLabel('Smarch 1, 2026'), null);
+});
+
+test('buildWeeklyRecap merges the same bullet across apps and unions tags', () => {
+  const week = parseIsoWeek('2026-W33');
+  const updates = updatesInWeek(parseReleaseNotes(PAGE), week);
+  assert.deepEqual(updates.map((u) => u.description), ['dashboard-v2.12.0', 'admin-v3.14.0']);
+
+  const recap = buildWeeklyRecap(updates, week);
+  assert.equal(recap.label, 'Week of August 10, 2026');
+  assert.equal(recap.description, 'Weekly recap');
+  assert.deepEqual(recap.tags, ['dashboard', 'admin']);
+
+  const fixed = bulletsIn(recap, 'fixed');
+  assert.equal(fixed.length, 1);
+  assert.deepEqual(fixed[0].links.map((l) => l.number), [340, 341]);
+  assert.equal(bulletsIn(recap, 'new').length, 1);
+});
+
+test('upsertWeeklyRecap inserts at the top of the week and is idempotent', () => {
+  const week = parseIsoWeek('2026-W33');
+  const doc = parseReleaseNotes(PAGE);
+  const recap = buildWeeklyRecap(updatesInWeek(doc, week), week);
+
+  assert.equal(upsertWeeklyRecap(doc, recap, week), 'inserted');
+  const once = serializeReleaseNotes(doc);
+  assert.deepEqual(doc.updates.map((u) => u.label), [
+    'Week of August 10, 2026', 'August 13, 2026', 'August 11, 2026', 'August 6, 2026',
+  ]);
+  assert.match(once, /---\n\n<Update label="Week of August 10, 2026" description="Weekly recap" tags=\{\["dashboard", "admin"\]\}>\n\nA skim-friendly recap/);
+
+  const again = parseReleaseNotes(once);
+  const rerun = buildWeeklyRecap(updatesInWeek(again, week), week);
+  assert.equal(upsertWeeklyRecap(again, rerun, week), 'unchanged');
+  assert.equal(serializeReleaseNotes(again), once);
+});
+
+test('upsertWeeklyRecap keeps an edited recap unless overwrite is set', () => {
+  const week = parseIsoWeek('2026-W33');
+  const doc = parseReleaseNotes(PAGE);
+  const recap = buildWeeklyRecap(updatesInWeek(doc, week), week);
+  upsertWeeklyRecap(doc, recap, week);
+  doc.updates[0].intro = ['', 'Hand-edited intro.', ''];
+
+  const fresh = buildWeeklyRecap(updatesInWeek(doc, week), week);
+  assert.equal(upsertWeeklyRecap(doc, fresh, week), 'skipped');
+  assert.deepEqual(doc.updates[0].intro, ['', 'Hand-edited intro.', '']);
+  assert.equal(upsertWeeklyRecap(doc, fresh, week, { overwrite: true }), 'replaced');
+  assert.equal(doc.updates[0].intro[1], fresh.intro[1]);
+  assert.equal(doc.updates.length, 4);
+});
+
+test('upsertWeeklyRecap inserts mid-page and skips weeks with no entries', () => {
+  const doc = parseReleaseNotes(PAGE);
+  const week = parseIsoWeek('2026-W32');
+  assert.equal(upsertWeeklyRecap(doc, buildWeeklyRecap(updatesInWeek(doc, week), week), week), 'inserted');
+  assert.deepEqual(doc.updates.map((u) => u.label).slice(2), ['Week of August 3, 2026', 'August 6, 2026']);
+  assert.match(serializeReleaseNotes(doc), /<\/Update>\n\n<Update label="Week of August 3, 2026"[^\n]*>\n\nA skim[\s\S]*<\/Update>\n\n<Update label="August 6, 2026"/);
+
+  const empty = parseIsoWeek('2026-W30');
+  assert.equal(upsertWeeklyRecap(doc, buildWeeklyRecap([], empty), empty), null);
+});
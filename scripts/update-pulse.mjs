@@ -4,14 +4,19 @@
  * and updates the "Platform pulse" section on index.mdx.
  *
  * Requires GITHUB_TOKEN env var with read access to Revive-Home repos.
+ * Repos, tag prefixes and card titles come from scripts/release-notes.config.json.
  */
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getReleaseNotesConfig } from './lib/release-notes-config.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
 
+const config = getReleaseNotesConfig();
+const ORG = config.org;
+
 const TOKEN = process.env.GITHUB_TOKEN;
 if (!TOKEN) {
   console.error('GITHUB_TOKEN is required');
@@ -55,7 +60,7 @@ async function getLatestRelease(owner, repo, tagPrefix) {
   const releases = await res.json();
   const published = releases.find((r) => {
     if (r.draft || r.prerelease) return false;
-    // If a tag prefix is specified, only match releases for that app (e.g. revive-api@)
+    // If a tag prefix is specified, only match releases for that app (e.g. api-v)
     if (tagPrefix && !r.tag_name?.startsWith(tagPrefix)) return false;
     return true;
   });
@@ -73,27 +78,27 @@ async function main() {
   const spec = JSON.parse(fs.readFileSync(path.join(ROOT, 'openapi.json'), 'utf8'));
   const apiVersion = spec.info?.version || 'unknown';
 
-  const [apiDate, dashboardDate, adminDate, mobileDate, docsDate] = await Promise.all([
-    getLatestRelease('Revive-Home', 'revive-apps', 'api-v'),
-    getLatestRelease('Revive-Home', 'revive-apps', 'dashboard-v'),
-    getLatestRelease('Revive-Home', 'revive-apps', 'admin-v'),
-    getLatestRelease('Revive-Home', 'revive-mobile'),
-    getLatestPush('Revive-Home', 'revive-api-docs'),
+  const latestAppRelease = (app) => getLatestRelease(ORG, config.apps[app].repo, config.apps[app].tagPrefix);
+  const cardApps = config.appIds.filter((app) => config.apps[app].pulseCard);
+
+  const [apiDate, docsDate, ...cardDates] = await Promise.all([
+    latestAppRelease(config.pulse.apiReferenceApp),
+    getLatestPush(ORG, config.pulse.docsRepo),
+    ...cardApps.map(latestAppRelease),
   ]);
 
   const dates = {
     apiRef: apiDate ? formatDate(apiDate) : null,
     apiVersion,
-    dashboard: dashboardDate ? formatDate(dashboardDate) : null,
-    admin: adminDate ? formatDate(adminDate) : null,
-    mobile: mobileDate ? formatDate(mobileDate) : null,
     docs: docsDate ? formatDate(docsDate) : null,
   };
+  const cards = cardApps.map((app, i) => ({
+    title: config.apps[app].pulseCard,
+    date: cardDates[i] ? formatDate(cardDates[i]) : null,
+  }));
 
   console.log('  API Reference:', dates.apiVersion, '—', dates.apiRef);
-  console.log('  revive-dashboard:', dates.dashboard);
-  console.log('  revive-admin:', dates.admin);
-  console.log('  revive-mobile:', dates.mobile);
+  for (const card of cards) console.log(`  ${card.title}:`, card.date);
   console.log('  Docs site:', dates.docs);
 
   // Update index.mdx
@@ -106,27 +111,13 @@ async function main() {
       /(<Card title="API Reference" icon="terminal">\n\s+)\*\*.*?\*\* — updated .+/,
       `$1**${dates.apiVersion}** — updated ${dates.apiRef}`
     );
-    content = content.replace(
-      /(<Card title="revive-api" icon="server">\n\s+)Last deploy: \*\*.+?\*\*/,
-      `$1Last deploy: **${dates.apiRef}**`
-    );
-  }
-  if (dates.dashboard) {
-    content = content.replace(
-      /(<Card title="revive-dashboard" icon="browser">\n\s+)Last deploy: \*\*.+?\*\*/,
-      `$1Last deploy: **${dates.dashboard}**`
-    );
-  }
-  if (dates.admin) {
-    content = content.replace(
-      /(<Card title="revive-admin" icon="shield">\n\s+)Last deploy: \*\*.+?\*\*/,
-      `$1Last deploy: **${dates.admin}**`
-    );
   }
-  if (dates.mobile) {
+  for (const card of cards) {
+    if (!card.date) continue;
+    const title = card.title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     content = content.replace(
-      /(<Card title="revive-mobile" icon="mobile">\n\s+)Last deploy: \*\*.+?\*\*/,
-      `$1Last deploy: **${dates.mobile}**`
+      new RegExp(`(<Card title="${title}" icon="[^"]*">\\n\\s+)Last deploy: \\*\\*.+?\\*\\*`),
+      `$1Last deploy: **${card.date}**`
     );
   }
   if (dates.docs) {